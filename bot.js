@@ -1,75 +1,25 @@
-// ─── PROTO CRASH PROTECTION ──────────────────────────────────────────────────
-// Rust servers omit proto "required" fields (spawnTime, isOnline, queuedPlayers etc.)
-// causing protobufjs to throw ProtocolError and crash the process.
-//
-// Fix 1: Patch rustplus.proto on disk — required → optional — before RustPlus loads.
-// Fix 2: Catch any ProtocolError that still slips through and keep the process alive.
-;(function protoCrashProtection() {
-  const fs   = require('fs');
-  const path = require('path');
-
-  // ── Fix 1: patch proto file ──
-  const protoPath = path.join(
-    __dirname, 'node_modules', '@liamcottle', 'rustplus.js', 'rustplus.proto'
-  );
-  try {
-    if (fs.existsSync(protoPath)) {
-      const src = fs.readFileSync(protoPath, 'utf8');
-      if (/\brequired\b/.test(src)) {
-        fs.writeFileSync(protoPath, src.replace(/\brequired\b(\s+)/g, 'optional$1'), 'utf8');
-        console.log(`[patch] ✓ Proto patched (${(src.match(/\brequired\b/g)||[]).length} fields)`);
-      } else {
-        console.log('[patch] Proto already clean');
-      }
-    } else {
-      console.warn('[patch] Proto file not found — Fix 2 will handle crashes');
-    }
-  } catch (e) {
-    console.warn('[patch] Disk patch failed:', e.message, '— Fix 2 will handle crashes');
-  }
-
-  // ── Fix 2: swallow ProtocolError uncaught exceptions so the bot never exits ──
-  // If Fix 1 didn't catch something (cached .js, different proto path, etc.)
-  // this ensures the process keeps running — it just logs the error and moves on.
-  process.on('uncaughtException', (err) => {
-    if (err && (err.name === 'ProtocolError' || (err.message && err.message.includes("missing required")))) {
-      console.warn(`[proto] Ignored ProtocolError (missing field): ${err.message}`);
-      return; // swallow — do NOT exit
-    }
-    // All other real uncaught errors: log and exit as normal
-    console.error('[FATAL] Uncaught exception:', err);
-    process.exit(1);
-  });
-
-  process.on('unhandledRejection', (reason) => {
-    if (reason && (reason.name === 'ProtocolError' || String(reason.message||'').includes("missing required"))) {
-      console.warn(`[proto] Ignored ProtocolError rejection: ${reason.message}`);
-      return;
-    }
-    console.error('[FATAL] Unhandled rejection:', reason);
-    process.exit(1);
-  });
-
-  console.log('[patch] ✓ ProtocolError crash guard active');
-})();
-
 require('dotenv').config();
 const {
-  Client, GatewayIntentBits, EmbedBuilder,
+  Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder,
   ActionRowBuilder, ButtonBuilder, ButtonStyle,
-  SlashCommandBuilder, REST, Routes,
+  SlashCommandBuilder, PermissionFlagsBits, REST, Routes,
 } = require('discord.js');
 const {
   joinVoiceChannel, createAudioPlayer, createAudioResource,
   AudioPlayerStatus, VoiceConnectionStatus,
 } = require('@discordjs/voice');
-const RustPlus  = require('@liamcottle/rustplus.js');
+const { TolerantRustPlus, decodeStats, relaxed: protoRelaxed } = require('./rustproto');
 const { execSync } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
 const fs   = require('fs');
 const path  = require('path');
 const http  = require('http');
 const https = require('https');
 const WSLib = require('ws');
+const { createStore, flushAll, observeWrites } = require('./store');
+const { createRegistry } = require('./metrics');
+const Jimp  = require('jimp');
 
 // ─── CONFIG ───────────────────────────────────────────────────────────────────
 const C = {
@@ -86,6 +36,7 @@ const C = {
       switches: process.env.CHANNEL_SWITCHES,
       log:      process.env.CHANNEL_LOG,
       wipe:     process.env.CHANNEL_WIPE,
+      upkeep:   process.env.CHANNEL_UPKEEP || process.env.CHANNEL_ALARMS,
     },
   },
   rust: {
@@ -114,12 +65,125 @@ const C = {
     voiceRaids:  process.env.VOICE_RAIDS        !== 'false',
     voiceAlarms: process.env.VOICE_ALARMS       !== 'false',
     voiceDeaths: process.env.VOICE_DEATHS       === 'true',
+    upkeep:      process.env.ALERT_UPKEEP       !== 'false',
+    upkeepInChat: process.env.UPKEEP_IN_TEAM_CHAT !== 'false',
+    voiceUpkeep: process.env.VOICE_UPKEEP       !== 'false',
+    upkeepHours: parseFloat(process.env.UPKEEP_ALERT_HOURS) || 6,
+  },
+  raid: {
+    alarmBurst:  parseInt(process.env.RAID_ALARM_BURST) || 3,             // indicator alarm hits…
+    alarmWindow: (parseInt(process.env.RAID_ALARM_WINDOW_S) || 120) * 1000, // …within this many seconds
+    storageDrop: (parseInt(process.env.RAID_STORAGE_DROP_PCT) || 40) / 100,
+    cooldown:    (parseInt(process.env.RAID_COOLDOWN_S) || 300) * 1000,
   },
   wipeDate: process.env.WIPE_DATE ? new Date(process.env.WIPE_DATE) : null,
   wsPort:   parseInt(process.env.PORT) || 3000,
   bmServerId: process.env.BM_SERVER_ID || '1720719', // BattleMetrics server ID
 };
 
+// ─── CAPTURE & REPLAY ────────────────────────────────────────────────────────
+// RECORD=<file> (or RECORD=true → ./captures/capture-<ts>.jsonl) writes a capture of every Rust+
+// broadcast, request and response, anonymized unless RECORD_ANONYMIZE=false — see capture.js for
+// what is kept.
+// REPLAY=<capture> runs the bot against that capture instead of a server: REPLAY_SPEED=10 plays
+// it ten times faster, Discord is not logged in, and everything the bot would have sent to a
+// channel or team chat goes to REPLAY_OUT (default <capture>.out.jsonl). Data files go to
+// REPLAY_DATA_DIR (default ./replay-data) — point it at a copy of the live data files to replay
+// with the same paired entities and settings. Player-keyed files (watched players, playtime)
+// only match a capture recorded with RECORD_ANONYMIZE=false.
+let recorder  = null;
+let replay    = null;
+let replayOut = null;
+if (process.env.RECORD) {
+  const { createRecorder } = require('./capture');
+  const file = process.env.RECORD === 'true'
+    ? path.resolve('captures', `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`)
+    : path.resolve(process.env.RECORD);
+  recorder = createRecorder({ file, anonymize: process.env.RECORD_ANONYMIZE !== 'false', meta: { bot: `rust-link ${require('./package.json').version}`, simulated: !!process.env.SIMULATE } });
+  console.log(`[Capture] Recording Rust+ traffic to ${file}`);
+}
+if (process.env.REPLAY) {
+  if (process.env.SIMULATE) { console.error('[Replay] REPLAY and SIMULATE cannot be combined'); process.exit(1); }
+  const { createReplayClient } = require('./capture');
+  const file  = path.resolve(process.env.REPLAY);
+  const speed = parseFloat(process.env.REPLAY_SPEED) || 1;
+  replayOut = path.resolve(process.env.REPLAY_OUT || file.replace(/\.jsonl$/, '') + '.out.jsonl');
+  fs.writeFileSync(replayOut, '');
+  replay = createReplayClient(file, { speed, onOutput: (kind, data) => replayOutput(kind, data) });
+  replay.on('end', () => { if (!shuttingDown) shutdown('replay end'); });
+  const dataDir = path.resolve(process.env.REPLAY_DATA_DIR || './replay-data');
+  fs.mkdirSync(dataDir, { recursive: true });
+  process.chdir(dataDir);
+  Object.assign(C.rust, { ip: 'replay', steamId: C.rust.steamId || '0', token: C.rust.token || '0' });
+  console.log(`[Replay] REPLAY mode — ${file} at ${speed}x, output to ${replayOut}`);
+}
+
+// One line per message the bot would have sent; the console gets a short version
+function replayOutput(kind, data) {
+  fs.appendFileSync(replayOut, JSON.stringify({ t: Date.now(), kind, ...data }) + '\n');
+  const text = kind === 'channel'        ? [data.title, data.description, data.content].filter(Boolean).join(' — ')
+             : kind === 'setEntityValue' ? `${data.entityId} → ${data.value}`
+             : data.text;
+  console.log(`[Replay] → ${kind === 'channel' ? '#' + data.channel : kind}: ${String(text).slice(0, 120)}`);
+}
+
+// ─── SIMULATOR ───────────────────────────────────────────────────────────────
+// SIMULATE=<scenario.json> points Rust+ at the local stand-in in simulator.js instead of a real
+// server, with the scenario's entities pre-paired. Data files go to SIM_DATA_DIR (default
+// ./sim-data) so a test run never touches the live members, entities or playtime.
+let sim      = null;
+let simReady = null;
+if (process.env.SIMULATE) {
+  const { createSimulator, loadScenario } = require('./simulator');
+  const scenario = loadScenario(path.resolve(process.env.SIMULATE));
+  const simPort  = parseInt(process.env.SIM_PORT) || 28082;
+  const dataDir  = path.resolve(process.env.SIM_DATA_DIR || './sim-data');
+  fs.mkdirSync(dataDir, { recursive: true });
+  process.chdir(dataDir);
+  Object.assign(C.rust, { ip: '127.0.0.1', port: simPort, steamId: String(scenario.player.steamId || '76561198000000000'), token: '1' });
+  sim = createSimulator(scenario, { port: simPort });
+  simReady = sim.start();
+  simReady.catch(e => { console.error('[Sim] Failed to start:', e.message); process.exit(1); });
+  sim.on('end', () => shutdown('scenario end'));
+  console.log(`[Sim] SIMULATE mode — scenario "${scenario.name}", data in ${dataDir}`);
+}
+
+// ─── METRICS ─────────────────────────────────────────────────────────────────
+// Prometheus scrape at GET /metrics. With METRICS_TOKEN set, scrapers must send it as
+// "Authorization: Bearer <token>"; without it the route is open, for private networks.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const metrics = createRegistry();
+const M = {
+  rustRequestSeconds: metrics.histogram('rustlink_rust_request_duration_seconds', 'Rust+ request round trip by method, answered requests only'),
+  rustRequestErrors:  metrics.counter('rustlink_rust_request_errors_total', 'Rust+ requests that failed, by method and reason (error, timeout, exception)'),
+  alerts:             metrics.counter('rustlink_alerts_total', 'Dashboard alerts raised, by type'),
+  discordSendFails:   metrics.counter('rustlink_discord_send_failures_total', 'Discord channel posts from sendTo that failed, by channel'),
+  storeWriteSeconds:  metrics.histogram('rustlink_store_write_duration_seconds', 'Data file write time, by store'),
+  storeWriteFails:    metrics.counter('rustlink_store_write_failures_total', 'Data file writes that failed, by store'),
+};
+metrics.gauge('rustlink_rust_connected', '1 while the Rust+ socket is connected', () => rustConnected ? 1 : 0);
+metrics.counter('rustlink_rust_reconnects_total', 'Rust+ connections re-established after a drop', () => conn.reconnects);
+metrics.gauge('rustlink_rust_queue_depth', 'Rust+ requests waiting for rate-limit tokens', () => rustQueue.length);
+metrics.gauge('rustlink_server_players', 'Players online on the Rust server', () => serverInfo.players);
+metrics.gauge('rustlink_server_queued_players', 'Players in the Rust server queue', () => serverInfo.queuedPlayers);
+metrics.gauge('rustlink_server_max_players', 'Rust server player cap', () => serverInfo.maxPlayers);
+metrics.gauge('rustlink_team_online', 'Team members online', () => (teamInfo.members || []).filter(m => m.isOnline).length);
+metrics.gauge('rustlink_tts_queue_length', 'TTS messages waiting to be spoken', () => ttsQueue.length);
+metrics.gauge('rustlink_ws_clients', 'Dashboard WebSocket clients connected', () => wsClients.size);
+metrics.counter('rustlink_proto_decode_failures_total', 'Rust+ frames that could not be decoded', () => decodeStats.failures);
+observeWrites((store, ms, ok) => {
+  M.storeWriteSeconds.observe({ store }, ms / 1000);
+  if (!ok) M.storeWriteFails.inc({ store });
+});
+
+function metricsAuthorized(req) {
+  if (!METRICS_TOKEN) return true;
+  const auth  = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  const digest = v => crypto.createHash('sha256').update(v).digest();
+  return crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN));
+}
+
 // ─── ROLE RULES ───────────────────────────────────────────────────────────────
 const roleRules = [];
 if (process.env.ROLE_RULES) {
@@ -132,7 +196,9 @@ if (process.env.ROLE_RULES) {
 // ─── ENTITY STORES ───────────────────────────────────────────────────────────
 const knownSwitches = new Map();
 const knownAlarms   = new Map();
+const knownMonitors = new Map();
 const entityStates  = {};
+const monitorStates = {}; // id → { items[], capacity, hasProtection, protectionExpiry, updatedAt, upkeepAlerted }
 
 if (process.env.SWITCHES) {
   process.env.SWITCHES.split(',').forEach(p => {
@@ -146,6 +212,97 @@ if (process.env.ALARMS) {
     if (name && id) knownAlarms.set(id.trim(), { name: name.trim(), voice: true, teamChat: true, roleId: roleId?.trim()||null });
   });
 }
+if (process.env.MONITORS) {
+  process.env.MONITORS.split(',').forEach(p => {
+    const [name, id, roleId] = p.split(':');
+    if (name && id) knownMonitors.set(id.trim(), { name: name.trim(), icon: '📦', upkeep: true, roleId: roleId?.trim()||null });
+  });
+}
+
+// A simulator scenario brings its own pairings, defaulted like the env vars above
+if (sim) {
+  sim.entities().forEach(({ id, kind, name }) => {
+    if (kind === 'switch')  knownSwitches.set(id, { name, icon: '⚡', inPanel: true });
+    if (kind === 'alarm')   knownAlarms.set(id, { name, voice: true, teamChat: true, roleId: null });
+    if (kind === 'monitor') knownMonitors.set(id, { name, icon: '📦', upkeep: true, roleId: null });
+  });
+}
+
+// entities.json layers on top of the env vars: entries there override or add to the
+// env-defined ones, and `removed` remembers env entities deleted from the dashboard.
+const ENTITIES_FILE = './entities.json';
+const ENTITY_KINDS  = { switch: knownSwitches, alarm: knownAlarms, monitor: knownMonitors };
+let removedEntities = new Set();
+
+function entityKind(id) {
+  for (const [kind, map] of Object.entries(ENTITY_KINDS)) if (map.has(id)) return kind;
+  return null;
+}
+
+const entitiesStore = createStore({
+  file: ENTITIES_FILE, name: 'Entities', initial: null,
+  serialize: () => {
+    const entities = [];
+    for (const [kind, map] of Object.entries(ENTITY_KINDS)) for (const [id, e] of map) entities.push({ id, kind, ...e });
+    return { entities, removed: [...removedEntities] };
+  },
+});
+
+function loadEntities() {
+  const data = entitiesStore.load();
+  if (!data) return;
+  removedEntities = new Set(data.removed || []);
+  removedEntities.forEach(id => Object.values(ENTITY_KINDS).forEach(m => m.delete(id)));
+  (data.entities || []).forEach(({ id, kind, ...rest }) => {
+    if (!ENTITY_KINDS[kind] || !id) return;
+    Object.values(ENTITY_KINDS).forEach(m => m.delete(String(id)));
+    ENTITY_KINDS[kind].set(String(id), rest);
+  });
+  console.log(`[Entities] Loaded ${knownSwitches.size} switches, ${knownAlarms.size} alarms, ${knownMonitors.size} monitors`);
+}
+const saveEntities = () => entitiesStore.save();
+loadEntities();
+
+// ─── HEARTBEAT FILE ──────────────────────────────────────────────────────────
+// lastBeat is stamped every 30s while the bot runs, Rust+ connected or not — the last moment it
+// was still tracking who was online. Spy and playtime sessions a crash left open are closed at that time on the
+// next boot, so the downtime is neither dropped nor counted. A clean shutdown closes them itself.
+const RUNTIME_FILE = './runtime.json';
+const runtimeStore = createStore({ file: RUNTIME_FILE, name: 'Runtime', initial: null, backups: 0, serialize: () => runtimeState });
+const bootRuntime  = runtimeStore.load() || { lastBeat: 0, cleanShutdown: true };
+let runtimeState   = { ...bootRuntime, cleanShutdown: false, startedAt: Date.now() };
+runtimeStore.save();
+if (!bootRuntime.cleanShutdown) {
+  console.warn(`[Runtime] Previous run did not shut down cleanly — last heartbeat ${bootRuntime.lastBeat ? new Date(bootRuntime.lastBeat).toISOString() : 'unknown'}`);
+}
+
+function heartbeat() {
+  runtimeState.lastBeat = Date.now();
+  runtimeStore.save();
+}
+
+// Ends every open spy/playtime session at `at` (never before the session's own start)
+function closeOpenSessions(at) {
+  let spy = 0, play = 0;
+  watchedPlayers.forEach(wp => {
+    if (!wp.currentSessionStart) return;
+    const end = Math.max(wp.currentSessionStart, at || 0);
+    const ms  = end - wp.currentSessionStart;
+    if (ms > 0) { wp.sessions.push({ start: wp.currentSessionStart, end, ms }); wp.totalMs += ms; }
+    wp.currentSessionStart = null;
+    wp.online = false;
+    spy++;
+  });
+  Object.values(playtimeData).forEach(p => {
+    if (!p.sessionStart) return;
+    p.totalSeconds = (p.totalSeconds || 0) + Math.floor(Math.max(0, (at || 0) - p.sessionStart) / 1000);
+    p.sessionStart = null;
+    play++;
+  });
+  if (spy)  saveWatchedPlayers();
+  if (play) savePlaytime();
+  return { spy, play };
+}
 
 // ─── SPY TRACKER ─────────────────────────────────────────────────────────────
 // watchedPlayers: steamId → { steamId, name, addedAt, online, totalMs, currentSessionStart, sessions[] }
@@ -154,42 +311,29 @@ const allServerPlayers = new Map(); // steamId → { name, online }
 
 const WATCHED_FILE = './watched_players.json';
 
-function saveWatchedPlayers() {
-  try {
-    const arr = [];
-    watchedPlayers.forEach((wp) => {
-      // Finalise any open session before saving so time is not lost
-      const entry = { ...wp };
-      if (entry.currentSessionStart) {
-        const ms = Date.now() - entry.currentSessionStart;
-        entry.sessions = [...(entry.sessions || []), { start: entry.currentSessionStart, end: Date.now(), ms }];
-        entry.totalMs  = (entry.totalMs || 0) + ms;
-        // Keep currentSessionStart so we resume it after a quick restart
-      }
-      arr.push(entry);
-    });
-    fs.writeFileSync(WATCHED_FILE, JSON.stringify(arr, null, 2));
-  } catch(e) { console.warn('[Spy] Save error:', e.message); }
-}
+// Open sessions are saved as currentSessionStart and closed against the heartbeat on boot.
+// v1 files had the open session already folded into sessions/totalMs, so v2 just drops the marker.
+const watchedStore = createStore({
+  file: WATCHED_FILE, name: 'Spy', initial: [], version: 2,
+  serialize: () => [...watchedPlayers.values()],
+  migrations: { 2: arr => arr.map(wp => ({ ...wp, currentSessionStart: null })) },
+});
+const saveWatchedPlayers = () => watchedStore.save();
 
 function loadWatchedPlayers() {
-  try {
-    if (!fs.existsSync(WATCHED_FILE)) return;
-    const arr = JSON.parse(fs.readFileSync(WATCHED_FILE, 'utf8'));
-    arr.forEach(wp => {
-      if (!wp.steamId) return;
-      watchedPlayers.set(wp.steamId, {
-        steamId:             wp.steamId,
-        name:                wp.name || 'Unknown',
-        addedAt:             wp.addedAt || Date.now(),
-        online:              false, // will be updated on next team/BM refresh
-        totalMs:             wp.totalMs || 0,
-        currentSessionStart: null,  // reset — bot may have been offline for unknown time
-        sessions:            wp.sessions || [],
-      });
+  watchedStore.load().forEach(wp => {
+    if (!wp.steamId) return;
+    watchedPlayers.set(wp.steamId, {
+      steamId:             wp.steamId,
+      name:                wp.name || 'Unknown',
+      addedAt:             wp.addedAt || Date.now(),
+      online:              false, // will be updated on next team/BM refresh
+      totalMs:             wp.totalMs || 0,
+      currentSessionStart: wp.currentSessionStart || null, // closed by closeOpenSessions() below
+      sessions:            wp.sessions || [],
     });
-    console.log(`[Spy] Loaded ${watchedPlayers.size} watched players from disk`);
-  } catch(e) { console.warn('[Spy] Load error:', e.message); }
+  });
+  if (watchedPlayers.size) console.log(`[Spy] Loaded ${watchedPlayers.size} watched players from disk`);
 }
 loadWatchedPlayers();
 
@@ -345,46 +489,302 @@ function fetchBMPlayers() {
   }).on('error', e => console.warn('[BM] Fetch error:', e.message));
 }
 
-// Poll BattleMetrics every 2 minutes
+// Poll BattleMetrics every 2 minutes (immediate first fetch)
 function startBMPolling() {
-  fetchBMPlayers(); // immediate first fetch
-  setInterval(fetchBMPlayers, 120000);
+  startJob('BM', 120000, fetchBMPlayers, { immediate: true });
+}
+
+// ─── CREDENTIALS ──────────────────────────────────────────────────────────────
+// Passwords are stored as "scrypt$N$r$p$salt$key" (base64 salt/key). Accounts created before
+// this still hold base64(password); verifyPassword accepts those and flags them as legacy so the
+// caller can rehash on the next successful login.
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const CREDENTIAL_FIELDS = ['passwordHash', 'password', 'passcode'];
+
+function scryptAsync(password, salt, keylen, opts) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, keylen, opts, (err, key) => err ? reject(err) : resolve(key)));
 }
 
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key  = await scryptAsync(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// → { ok, legacy }
+async function verifyPassword(password, stored) {
+  if (!password || !stored) return { ok: false, legacy: false };
+  if (stored.startsWith('scrypt$')) {
+    const [, N, r, p, salt, key] = stored.split('$');
+    const want = Buffer.from(key, 'base64');
+    try {
+      const got = await scryptAsync(String(password), Buffer.from(salt, 'base64'), want.length, { N: +N, r: +r, p: +p });
+      return { ok: crypto.timingSafeEqual(got, want), legacy: false };
+    } catch { return { ok: false, legacy: false }; }
+  }
+  // Legacy base64 — digest both sides so timingSafeEqual gets equal lengths
+  const digest = v => crypto.createHash('sha256').update(v).digest();
+  return { ok: crypto.timingSafeEqual(digest(Buffer.from(String(password)).toString('base64')), digest(stored)), legacy: true };
+}
+
+// Finds an approved member by username or name and checks the password, upgrading legacy hashes
+async function authenticateMember(login, password) {
+  const key    = String(login || '').trim().toLowerCase();
+  const member = clanMembers.find(m =>
+    ((m.username || '').toLowerCase() === key || m.name.toLowerCase() === key) && m.status === 'approved');
+  if (!member) return null;
+  const { ok, legacy } = await verifyPassword(password, member.passwordHash);
+  if (!ok) return null;
+  if (legacy) {
+    member.passwordHash = await hashPassword(password);
+    console.log(`[Members] Upgraded password hash for ${member.username || member.name}`);
+  }
+  return member;
+}
+
+// Copy of a join request / member without any credential field, for anything that leaves the process
+function withoutCredentials(record) {
+  const out = { ...record };
+  CREDENTIAL_FIELDS.forEach(f => delete out[f]);
+  return out;
+}
+
+// ─── SESSIONS ─────────────────────────────────────────────────────────────────
+// /login and memberLogin hand out a random token; the dashboard presents it on the WS
+// ('auth' message) and as a Bearer header on admin HTTP routes. Only sha256(token) is kept
+// on disk. Role is re-read from clanMembers on every check so promote/demote/remove apply
+// to live sessions. ADMIN_PASSWORD logs in as ADMIN_USERNAME (default "admin") so there is
+// always a way to approve the first members.
+const SESSIONS_FILE = './sessions.json';
+const SESSION_TTL   = (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 3600000;
+const ROLE_RANK     = { member: 1, admin: 2 };
+const ENV_ADMIN_ID  = 'env-admin';
+let sessions = {}; // sha256(token) → { memberId, username, createdAt, expiresAt }
+
+const sessionsStore = createStore({ file: SESSIONS_FILE, name: 'Sessions', initial: {}, serialize: () => sessions });
+const loadSessions  = () => { sessions = sessionsStore.load(); };
+const saveSessions  = () => sessionsStore.save();
+loadSessions();
+
+const tokenKey = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Member or env admin for a username/password pair, or null
+async function authenticateLogin(username, password) {
+  const member = await authenticateMember(username, password);
+  if (member) return member;
+  const envPw   = process.env.ADMIN_PASSWORD || process.env.ADMIN_CODE;
+  const envUser = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+  if (!envPw || String(username || '').trim().toLowerCase() !== envUser) return null;
+  const digest = v => crypto.createHash('sha256').update(String(v)).digest();
+  if (!crypto.timingSafeEqual(digest(password), digest(envPw))) return null;
+  return { id: ENV_ADMIN_ID, name: 'Admin', username: envUser, role: 'admin', discord: '', steam: '—' };
+}
+
+function createSession(member) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions[tokenKey(token)] = {
+    memberId: member.id, username: member.username || member.name,
+    createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL,
+  };
+  saveSessions();
+  return token;
+}
+
+// → { memberId, username, name, role } or null when missing, expired or the member is gone
+function getSession(token) {
+  if (!token) return null;
+  const key  = tokenKey(token);
+  const sess = sessions[key];
+  if (!sess) return null;
+  if (sess.expiresAt < Date.now()) { delete sessions[key]; saveSessions(); return null; }
+  if (sess.memberId === ENV_ADMIN_ID) return { memberId: ENV_ADMIN_ID, username: sess.username, name: 'Admin', role: 'admin' };
+  const m = clanMembers.find(x => x.id === sess.memberId && x.status === 'approved');
+  if (!m) { delete sessions[key]; saveSessions(); return null; }
+  return { memberId: m.id, username: m.username || m.name, name: m.name, role: m.role === 'admin' ? 'admin' : 'member' };
+}
+
+function endSession(token) {
+  if (token && sessions[tokenKey(token)]) { delete sessions[tokenKey(token)]; saveSessions(); }
+}
+
+function dropMemberSessions(memberId) {
+  const before = Object.keys(sessions).length;
+  for (const [k, sess] of Object.entries(sessions)) if (sess.memberId === memberId) delete sessions[k];
+  if (Object.keys(sessions).length !== before) saveSessions();
+}
+
+// Session from "Authorization: Bearer <token>" or a ?token= query (for <img> URLs)
+function httpSession(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return getSession(auth.slice(7).trim());
+  const q = new URL(req.url, 'http://x').searchParams.get('token');
+  return getSession(q);
+}
+
+const roleRank = sess => (sess ? ROLE_RANK[sess.role] || 0 : 0);
+
+// ─── ABUSE PROTECTION ────────────────────────────────────────────────────────
+// Sliding-window counters in memory, keyed "<kind>:<ip or username>". Failed logins count
+// per IP and per username; join submissions count per IP. Crossing a limit locks that key
+// out for LOCKOUT_MINUTES and posts to the log channel once per lockout.
+const LOCKOUT_MS   = (parseFloat(process.env.LOCKOUT_MINUTES) || 15) * 60000;
+const THROTTLES    = {
+  loginIp:   { limit: parseInt(process.env.LOGIN_MAX_PER_IP)   || 20, window: 15 * 60000, label: 'failed logins from IP' },
+  loginUser: { limit: parseInt(process.env.LOGIN_MAX_PER_USER) || 5,  window: 15 * 60000, label: 'failed logins for user' },
+  joinIp:    { limit: parseInt(process.env.JOIN_MAX_PER_IP)    || 3,  window: 3600000,    label: 'join requests from IP' },
+};
+const MAX_PENDING_JOINS = parseInt(process.env.MAX_PENDING_JOINS) || 25;
+const throttles = new Map(); // "<kind>:<key>" → { hits: [ts], lockedUntil }
+
+// X-Forwarded-For is only trusted behind a reverse proxy (TRUST_PROXY=true)
+function clientIp(req) {
+  const fwd = process.env.TRUST_PROXY === 'true' && req.headers['x-forwarded-for'];
+  return (fwd ? fwd.split(',')[0] : req.socket.remoteAddress || '?').trim().replace(/^::ffff:/, '');
+}
+
+// → null when allowed, else { msg, retryAfter } (seconds)
+function checkThrottle(kind, key) {
+  const t = throttles.get(`${kind}:${String(key).toLowerCase()}`);
+  if (!t || !t.lockedUntil || t.lockedUntil <= Date.now()) return null;
+  const retryAfter = Math.ceil((t.lockedUntil - Date.now()) / 1000);
+  return { msg: `Too many attempts — try again in ${Math.ceil(retryAfter / 60)} min`, retryAfter };
+}
+
+function hitThrottle(kind, key) {
+  const cfg = THROTTLES[kind], id = `${kind}:${String(key).toLowerCase()}`, now = Date.now();
+  const t = throttles.get(id) || { hits: [], lockedUntil: 0 };
+  t.hits = t.hits.filter(ts => now - ts < cfg.window);
+  t.hits.push(now);
+  throttles.set(id, t);
+  if (t.hits.length < cfg.limit || t.lockedUntil > now) return;
+  t.lockedUntil = now + LOCKOUT_MS;
+  t.hits = [];
+  console.warn(`[Security] Locked out ${id} (${cfg.limit} ${cfg.label})`);
+  sendTo('log', { embeds: [mkEmbed('🔒 Lockout',
+    `**${cfg.limit} ${cfg.label}** \`${key}\` within ${Math.round(cfg.window / 60000)} min.\nBlocked for ${Math.round(LOCKOUT_MS / 60000)} min.`,
+    0xCE422B)] }).catch(() => {});
+}
+
+const clearThrottle = (kind, key) => throttles.delete(`${kind}:${String(key).toLowerCase()}`);
+
+function pruneThrottles() {
+  const now = Date.now();
+  for (const [id, t] of throttles) {
+    const win = THROTTLES[id.split(':')[0]].window;
+    if (t.lockedUntil <= now && !t.hits.some(ts => now - ts < win)) throttles.delete(id);
+  }
+}
+
+// Shared by POST /login and WS memberLogin → { member } or { msg, retryAfter? }
+async function throttledLogin(ip, username, password) {
+  const blocked = checkThrottle('loginIp', ip) || checkThrottle('loginUser', username);
+  if (blocked) return blocked;
+  const member = await authenticateLogin(username, password);
+  if (member) { clearThrottle('loginUser', username); return { member }; }
+  hitThrottle('loginIp', ip);
+  hitThrottle('loginUser', username);
+  return { msg: 'Invalid username or password' };
+}
+
+// CORS_ORIGINS="https://a.example,https://b.example" — unset means same-origin only, "*" allows any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)) return true;
+  try { return new URL(origin).host === req.headers.host; } catch { return false; }
+}
+
+// ─── AUDIT LOG ───────────────────────────────────────────────────────────────
+// Append-only JSON lines, one per state-changing action from the dashboard, Discord, in-game
+// commands, /api/v1 and the legacy HTTP routes. The file is only ever appended to; the newest
+// AUDIT_KEEP entries are also kept in memory for the admin panel and /audit.
+const AUDIT_FILE    = './audit.log';
+const AUDIT_KEEP    = 2000;
+const AUDIT_SOURCES = ['dashboard', 'discord', 'ingame', 'api', 'http'];
+let auditLog = []; // newest first: { ts, source, actor, actorId, action, target, before, after, ok, detail }
+
+function loadAudit() {
+  try {
+    if (!fs.existsSync(AUDIT_FILE)) return;
+    const lines = fs.readFileSync(AUDIT_FILE, 'utf8').split('\n').filter(Boolean).slice(-AUDIT_KEEP);
+    auditLog = lines.map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean).reverse();
+    console.log(`[Audit] Loaded ${auditLog.length} entries`);
+  } catch(e) { auditLog = []; }
+}
+loadAudit();
+
+// by: { source, actor, actorId? } — built with the *Actor helpers below
+function audit(by, action, target, extra = {}) {
+  const entry = { ts: Date.now(), source: by.source, actor: by.actor || '?', actorId: by.actorId ?? null,
+    action, target: target == null ? null : String(target), ok: true, ...extra };
+  try { fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n'); }
+  catch(e) { console.warn('[Audit] Write error:', e.message); }
+  auditLog.unshift(entry);
+  if (auditLog.length > AUDIT_KEEP) auditLog.pop();
+  wsBroadcast({ type: 'auditEntry', entry }, ROLE_RANK.admin);
+}
+
+const dashActor    = sess => ({ source: 'dashboard', actor: sess?.username, actorId: sess?.memberId });
+const discordActor = user => ({ source: 'discord', actor: user.tag, actorId: user.id });
+const gameActor    = name => ({ source: 'ingame', actor: name });
+
+// Text filters are case-insensitive substrings; source is exact
+function queryAudit({ actor, action, target, source, since, limit = 100 } = {}) {
+  const has = (v, q) => !q || String(v ?? '').toLowerCase().includes(String(q).toLowerCase());
+  return auditLog.filter(e =>
+    has(e.actor, actor) && has(e.action, action) && has(e.target, target) &&
+    (!source || e.source === source) && (!since || e.ts >= since)
+  ).slice(0, Math.max(1, Math.min(500, parseInt(limit) || 100)));
+}
+
+function auditLine(e) {
+  const val  = v => v == null ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  const diff = e.before !== undefined || e.after !== undefined ? ` ${val(e.before)} → ${val(e.after)}` : '';
+  return `${e.ok ? '' : '❌ '}[${e.source}] ${e.actor} · ${e.action}${e.target ? ' ' + e.target : ''}${diff}`;
+}
+
+// Copy of an entity record for before/after values, and "Name (id)" for targets
+function entitySnapshot(rawId) {
+  const id   = String(rawId || '').trim();
+  const kind = entityKind(id);
+  return kind ? { kind, ...ENTITY_KINDS[kind].get(id) } : null;
+}
+const entityLabel = id => { const e = entitySnapshot(id); return e ? `${e.name} (${String(id).trim()})` : String(id || ''); };
+
 // ─── JOIN REQUESTS STORE (server-side) ───────────────────────────────────────
 // Stored in memory + file so all dashboards share the same data
 const JOIN_REQS_FILE = './join_requests.json';
 let joinRequests = [];
+const joinRequestsStore = createStore({ file: JOIN_REQS_FILE, name: 'JoinReqs', initial: [], serialize: () => joinRequests });
 function loadJoinRequests() {
-  try {
-    if (fs.existsSync(JOIN_REQS_FILE)) {
-      joinRequests = JSON.parse(fs.readFileSync(JOIN_REQS_FILE, 'utf8'));
-      console.log(`[JoinReqs] Loaded ${joinRequests.length} requests`);
-    }
-  } catch(e) { joinRequests = []; }
+  joinRequests = joinRequestsStore.load();
+  if (!joinRequests.length) return;
+  console.log(`[JoinReqs] Loaded ${joinRequests.length} requests`);
+  migrateJoinRequestHashes().catch(e => console.warn('[JoinReqs] Migration error:', e.message));
 }
-function saveJoinRequestsFile() {
-  try { fs.writeFileSync(JOIN_REQS_FILE, JSON.stringify(joinRequests, null, 2)); }
-  catch(e) { console.warn('[JoinReqs] Save error:', e.message); }
+// Pending requests have no login to piggyback on, and base64 is reversible anyway — rehash now
+async function migrateJoinRequestHashes() {
+  const legacy = joinRequests.filter(r => r.passwordHash && !r.passwordHash.startsWith('scrypt$'));
+  if (!legacy.length) return;
+  for (const r of legacy) r.passwordHash = await hashPassword(Buffer.from(r.passwordHash, 'base64').toString());
+  saveJoinRequestsFile();
+  console.log(`[JoinReqs] Rehashed ${legacy.length} legacy passwords`);
 }
+const saveJoinRequestsFile = () => joinRequestsStore.save();
 loadJoinRequests();
 
 // ─── CLAN MEMBERS STORE (server-side) ────────────────────────────────────────
 // Approved members with their login credentials — shared across all dashboards
 const CLAN_MEMBERS_FILE = './clan_members.json';
 let clanMembers = [];
+const clanMembersStore = createStore({ file: CLAN_MEMBERS_FILE, name: 'Members', initial: [], serialize: () => clanMembers });
 function loadClanMembers() {
-  try {
-    if (fs.existsSync(CLAN_MEMBERS_FILE)) {
-      clanMembers = JSON.parse(fs.readFileSync(CLAN_MEMBERS_FILE, 'utf8'));
-      console.log(`[Members] Loaded ${clanMembers.length} clan members`);
-    }
-  } catch(e) { clanMembers = []; }
-}
-function saveClanMembersFile() {
-  try { fs.writeFileSync(CLAN_MEMBERS_FILE, JSON.stringify(clanMembers, null, 2)); }
-  catch(e) { console.warn('[Members] Save error:', e.message); }
+  clanMembers = clanMembersStore.load();
+  if (clanMembers.length) console.log(`[Members] Loaded ${clanMembers.length} clan members`);
 }
+const saveClanMembersFile = () => clanMembersStore.save();
 loadClanMembers();
 
 
@@ -394,19 +794,15 @@ let playtimeData = {};
 const SECONDS_PER_LEVEL = 8 * 3600;
 let chatHistory = [];
 
+// Touched on every team change — written at most every 5s
+const playtimeStore = createStore({ file: PLAYTIME_FILE, name: 'Playtime', initial: {}, delay: 5000, serialize: () => playtimeData });
+
 function loadPlaytime() {
-  try {
-    if (fs.existsSync(PLAYTIME_FILE)) {
-      playtimeData = JSON.parse(fs.readFileSync(PLAYTIME_FILE, 'utf8'));
-      console.log('[Playtime] Loaded', Object.keys(playtimeData).length, 'entries');
-    }
-  } catch(e) { console.warn('[Playtime] Load error:', e.message); }
+  playtimeData = playtimeStore.load();
+  if (Object.keys(playtimeData).length) console.log('[Playtime] Loaded', Object.keys(playtimeData).length, 'entries');
 }
 
-function savePlaytime() {
-  try { fs.writeFileSync(PLAYTIME_FILE, JSON.stringify(playtimeData, null, 2)); }
-  catch(e) { console.warn('[Playtime] Save error:', e.message); }
-}
+const savePlaytime = () => playtimeStore.save();
 
 function getMemberLevel(idOrUsername) {
   let entry = playtimeData[idOrUsername];
@@ -458,6 +854,11 @@ function buildPlaytimeData() {
 
 loadPlaytime();
 
+{
+  const { spy, play } = closeOpenSessions(bootRuntime.lastBeat);
+  if (spy || play) console.log(`[Runtime] Closed ${spy} spy / ${play} playtime sessions at the last heartbeat`);
+}
+
 // ─── RUNTIME STATE ───────────────────────────────────────────────────────────
 let rustplus      = null;
 let rustConnected = false;
@@ -472,11 +873,51 @@ let popHistory    = [];
 let popLog30m     = { joined: 0, left: 0 };
 let prevPop       = 0;
 let prevTeamMap   = {};
-let popTracking   = false;
+let mapMarkers    = [];
 
 const liveAlerts   = [];   // last 100
 const liveChatMsgs = [];   // last 60
 
+// ─── PERIODIC JOBS ───────────────────────────────────────────────────────────
+// Every recurring timer is registered by name, so starting a job that is already running
+// is a no-op — reconnects can call the start* functions again without stacking intervals.
+// Jobs flagged `rust` need a live connection; they are stopped on disconnect and started
+// again by the next 'connected'.
+const jobs = new Map();   // name → { timer, every, once, rust, since }
+
+function startJob(name, every, fn, { rust = false, immediate = false } = {}) {
+  if (jobs.has(name)) return false;
+  // Rust+ calls made from a job queue behind user-triggered ones
+  const run = () => rustPriority.run(PRIORITY.background, () => Promise.resolve().then(fn))
+    .catch(e => console.error(`[${name}]`, e.message));
+  jobs.set(name, { timer: setInterval(run, every), every, once: false, rust, since: Date.now() });
+  if (immediate) run();
+  return true;
+}
+
+// One-shot version — removes itself from the registry when it fires
+function startTimer(name, delay, fn, { rust = false } = {}) {
+  if (jobs.has(name)) return false;
+  const timer = setTimeout(() => {
+    jobs.delete(name);
+    rustPriority.run(PRIORITY.background, () => Promise.resolve().then(fn))
+      .catch(e => console.error(`[${name}]`, e.message));
+  }, delay);
+  jobs.set(name, { timer, every: delay, once: true, rust, since: Date.now() });
+  return true;
+}
+
+function stopJob(name) {
+  const j = jobs.get(name);
+  if (!j) return;
+  if (j.once) clearTimeout(j.timer); else clearInterval(j.timer);
+  jobs.delete(name);
+}
+
+function stopJobs(filter = () => true) {
+  for (const [name, j] of jobs) if (filter(j)) stopJob(name);
+}
+
 // ─── DISCORD CLIENT ──────────────────────────────────────────────────────────
 const discord = new Client({
   intents: [
@@ -487,14 +928,143 @@ const discord = new Client({
   ],
 });
 
+// ─── REST API (/api/v1) ──────────────────────────────────────────────────────
+// Authenticated with "Authorization: Bearer <token>": either an API key (rlk_…, created
+// with /apikey, scoped) or a dashboard session token (scopes follow the member's role).
+// Every response is JSON: { ok: true, data } or { ok: false, msg } with a matching status.
+const API_KEYS_FILE = './api_keys.json';
+const API_SCOPES    = ['state', 'team', 'switches', 'switches:write', 'alarms', 'alerts', 'spy', 'playtime', 'requests', 'requests:write'];
+const MEMBER_SCOPES = API_SCOPES.filter(sc => !sc.startsWith('requests'));
+let apiKeys = []; // { id, name, hash, scopes[], createdBy, createdAt, lastUsed }
+
+const apiKeysStore = createStore({ file: API_KEYS_FILE, name: 'API', initial: [], serialize: () => apiKeys });
+const loadApiKeys  = () => { apiKeys = apiKeysStore.load(); };
+const saveApiKeys  = () => apiKeysStore.save();
+loadApiKeys();
+
+// "state,switches:write" / "all" → { scopes } or { error }
+function parseScopes(str) {
+  const list = String(str || '').split(/[\s,]+/).filter(Boolean).map(sc => sc.toLowerCase());
+  if (list.includes('all')) return { scopes: [...API_SCOPES] };
+  const bad = list.filter(sc => !API_SCOPES.includes(sc));
+  if (bad.length) return { error: `Unknown scope(s): ${bad.join(', ')} — valid: ${API_SCOPES.join(', ')}, all` };
+  if (!list.length) return { error: 'At least one scope required' };
+  return { scopes: [...new Set(list)] };
+}
+
+function createApiKey(name, scopes, createdBy) {
+  const token = 'rlk_' + crypto.randomBytes(24).toString('hex');
+  const key = { id: crypto.randomBytes(4).toString('hex'), name: String(name).slice(0, 40), hash: tokenKey(token),
+    scopes, createdBy, createdAt: Date.now(), lastUsed: null };
+  apiKeys.push(key);
+  saveApiKeys();
+  console.log(`[API] Key ${key.id} (${key.name}) created by ${createdBy}: ${scopes.join(', ')}`);
+  return { key, token };
+}
+
+function revokeApiKey(id) {
+  const idx = apiKeys.findIndex(k => k.id === id);
+  if (idx < 0) return false;
+  console.log(`[API] Key ${id} (${apiKeys[idx].name}) revoked`);
+  apiKeys.splice(idx, 1);
+  saveApiKeys();
+  return true;
+}
+
+// → { who, scopes: Set } or null
+function apiAuth(req) {
+  const auth  = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  if (!token) return null;
+  if (token.startsWith('rlk_')) {
+    const key = apiKeys.find(k => k.hash === tokenKey(token));
+    if (!key) return null;
+    key.lastUsed = Date.now();
+    saveApiKeys();   // coalesced by the store — at most one write per second under load
+    return { who: `key:${key.id}`, scopes: new Set(key.scopes) };
+  }
+  const sess = getSession(token);
+  if (!sess) return null;
+  return { who: sess.username, scopes: new Set(sess.role === 'admin' ? API_SCOPES : MEMBER_SCOPES) };
+}
+
+function readJsonBody(req, limit = 10000) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; if (body.length > limit) { reject(Object.assign(new Error('Body too large'), { status: 413 })); req.destroy(); } });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try { resolve(JSON.parse(body)); }
+      catch { reject(Object.assign(new Error('Body must be JSON'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// [method, path regex (after /api/v1), scope, handler(auth, match, body, url)] — handlers return
+// { data } on success or a shared-action result ({ ok: false, msg, status }) on failure
+const API_ROUTES = [
+  ['GET',  /^\/state$/,             'state',          a => ({ data: buildState(a.scopes.has('requests') ? 'admin' : 'member') })],
+  ['GET',  /^\/team$/,              'team',           () => ({ data: buildTeamData() })],
+  ['GET',  /^\/switches$/,          'switches',       () => ({ data: buildSwitchData() })],
+  ['POST', /^\/switches\/(\d+)$/,   'switches:write', async (a, m, body) => {
+    if (typeof body.value !== 'boolean') return { ok: false, msg: 'Body must be { "value": true|false }', status: 400 };
+    const r = await applySwitch(m[1], body.value, { source: 'api', actor: a.who });
+    return r.ok ? { data: { id: m[1], on: body.value } } : r;
+  }],
+  ['GET',  /^\/alarms$/,            'alarms',         () => ({ data: buildAlarmData() })],
+  ['GET',  /^\/alerts$/,            'alerts',         (a, m, b, url) => ({ data: liveAlerts.slice(0, Math.min(100, parseInt(url.searchParams.get('limit')) || 50)) })],
+  ['GET',  /^\/spy$/,               'spy',            () => ({ data: buildSpyData() })],
+  ['GET',  /^\/playtime$/,          'playtime',       () => ({ data: buildPlaytimeData() })],
+  ['GET',  /^\/requests$/,          'requests',       () => ({ data: joinRequests.map(withoutCredentials) })],
+  ['POST', /^\/requests\/([\w-]+)$/, 'requests:write', (a, m, body) => {
+    const r = moderateJoinRequest(m[1], body.action, { source: 'api', actor: a.who });
+    return r.ok ? { data: { id: m[1], action: body.action } } : r;
+  }],
+];
+
+function apiSend(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function handleApi(req, res) {
+  const url  = new URL(req.url, 'http://x');
+  const sub  = url.pathname.slice('/api/v1'.length) || '/';
+  const hits = API_ROUTES.filter(([, re]) => re.test(sub));
+  if (!hits.length) return apiSend(res, 404, { ok: false, msg: `No route ${url.pathname}` });
+  const route = hits.find(([method]) => method === req.method);
+  if (!route) return apiSend(res, 405, { ok: false, msg: `${req.method} not allowed on ${url.pathname}` });
+  const auth = apiAuth(req);
+  if (!auth) return apiSend(res, 401, { ok: false, msg: 'Missing or invalid bearer token' });
+  const [, re, scope, handler] = route;
+  if (!auth.scopes.has(scope)) return apiSend(res, 403, { ok: false, msg: `Token lacks the ${scope} scope` });
+  try {
+    const body = req.method === 'POST' ? await readJsonBody(req) : {};
+    const r = await handler(auth, sub.match(re), body, url);
+    if (r.ok === false) return apiSend(res, r.status || 400, { ok: false, msg: r.msg });
+    if (req.method !== 'GET') console.log(`[API] ${auth.who} ${req.method} ${url.pathname}`);
+    apiSend(res, 200, { ok: true, data: r.data });
+  } catch (e) {
+    if (!e.status) console.error('[API]', url.pathname, e.message);
+    apiSend(res, e.status || 500, { ok: false, msg: e.status ? e.message : 'Server error' });
+  }
+}
+
 // ─── HTTP + WS SERVER ────────────────────────────────────────────────────────
 const httpServer = http.createServer((req, res) => {
 
-  // CORS headers so the dashboard can POST from any origin
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+  // CORS only for origins on the CORS_ORIGINS allow-list (same-origin always works)
+  if (req.headers.origin && originAllowed(req)) {
+    res.setHeader('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : req.headers.origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') { res.writeHead(originAllowed(req) ? 204 : 403); res.end(); return; }
+
+  // ── /api/v1 — authenticated REST API for integrations ─────────────────────
+  if (req.url.startsWith('/api/v1/') || req.url === '/api/v1') { handleApi(req, res); return; }
 
   // ── Serve the dashboard HTML ──────────────────────────────────────────────
   if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
@@ -513,45 +1083,14 @@ const httpServer = http.createServer((req, res) => {
   if (req.method === 'POST' && req.url === '/join') {
     let body = '';
     req.on('data', chunk => { body += chunk; if (body.length > 10000) req.destroy(); });
-    req.on('end', () => {
+    req.on('end', async () => {
       try {
         const data = JSON.parse(body);
-        const jr = data.request;
-        if (!jr || !jr.id || !jr.name) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, msg: 'Invalid request' })); return;
-        }
-        const plainPw = jr.password || jr.passcode;
-        if (!plainPw) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, msg: 'Password required' })); return;
-        }
-        // Duplicate check by username or name
-        const key = (jr.username || jr.name).toLowerCase();
-        if (joinRequests.find(r => (r.username||r.name).toLowerCase()===key && r.status==='pending')) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, msg: 'A request with that username is already pending' })); return;
-        }
-        if (clanMembers.find(m => (m.username||m.name).toLowerCase()===key && m.status==='approved')) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, msg: 'That username already has an account' })); return;
-        }
-        // Store it
-        jr.status       = 'pending';
-        jr.receivedAt   = Date.now();
-        jr.passwordHash = Buffer.from(plainPw).toString('base64');
-        delete jr.password; delete jr.passcode;
-        joinRequests.unshift(jr);
-        saveJoinRequestsFile();
-        // Tell all connected dashboards immediately
-        wsBroadcast({ type: 'stateUpdate', data: buildState() });
-        wsBroadcast({ type: 'newJoinRequest', request: { ...jr } });
-        console.log(`[JoinReqs] /join POST: ${jr.name} | username: ${jr.username||'—'} | discord: ${jr.discord||'—'}`);
-        sendTo('log', { embeds: [mkEmbed('📥 New Join Request',
-          `**${jr.name}** wants to join!\n👤 Login: ${jr.username||'—'}\n💬 Discord: ${jr.discord||'—'}\n🖥 Steam: ${jr.steam||'—'}`,
-          0xF5A623)] }).catch(()=>{});
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
+        const r = await submitJoinRequest(data.request, clientIp(req), 'http');
+        const headers = { 'Content-Type': 'application/json' };
+        if (r.retryAfter) headers['Retry-After'] = String(r.retryAfter);
+        res.writeHead(r.ok ? 200 : r.status || 200, headers);
+        res.end(JSON.stringify({ ok: r.ok, msg: r.ok ? undefined : r.msg }));
       } catch(e) {
         console.error('[/join] Error:', e.message);
         res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -563,41 +1102,42 @@ const httpServer = http.createServer((req, res) => {
 
   // ── GET /requests — admin fetch all requests ─────────────────────────────
   if (req.method === 'GET' && req.url === '/requests') {
+    if (roleRank(httpSession(req)) < ROLE_RANK.admin) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, msg: 'Admin session required' })); return;
+    }
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(joinRequests.map(r => { const {passwordHash,...rest}=r; return rest; }))); return;
+    res.end(JSON.stringify(joinRequests.map(withoutCredentials))); return;
   }
 
   // ── POST /login — member login check (no WS needed) ──────────────────────
   if (req.method === 'POST' && req.url === '/login') {
     let body = '';
     req.on('data', chunk => { body += chunk; if (body.length > 5000) req.destroy(); });
-    req.on('end', () => {
+    req.on('end', async () => {
       try {
         const { username, password } = JSON.parse(body);
         if (!username || !password) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ ok: false, msg: 'Username and password required' })); return;
         }
-        const hash     = Buffer.from(password).toString('base64');
-        const loginKey = username.trim().toLowerCase();
-        const member   = clanMembers.find(m =>
-          ((m.username||'').toLowerCase() === loginKey || m.name.toLowerCase() === loginKey) &&
-          m.passwordHash === hash && m.status === 'approved'
-        );
+        const { member, msg, retryAfter } = await throttledLogin(clientIp(req), username, password);
         if (member) {
-          member.lastLogin = Date.now();
-          saveClanMembersFile();
+          if (member.id !== ENV_ADMIN_ID) { member.lastLogin = Date.now(); saveClanMembersFile(); }
           console.log(`[Login] Member logged in: ${member.username||member.name}`);
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, member: {
+          res.end(JSON.stringify({ ok: true, token: createSession(member), member: {
             id: member.id, name: member.name,
             username: member.username||member.name,
             discord: member.discord||'', role: member.role||'member',
             steam: member.steam||'—'
           }}));
+        } else if (retryAfter) {
+          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) });
+          res.end(JSON.stringify({ ok: false, msg }));
         } else {
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, msg: 'Invalid username or password' }));
+          res.end(JSON.stringify({ ok: false, msg }));
         }
       } catch(e) {
         res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -607,52 +1147,30 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
+  // ── POST /logout — drop the caller's session ─────────────────────────────
+  if (req.method === 'POST' && req.url === '/logout') {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) endSession(auth.slice(7).trim());
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true })); return;
+  }
+
   // ── POST /approve — admin approves a request ──────────────────────────────
+  // Bearer admin session or an API key with requests:write, checked the same way as /api/v1
   if (req.method === 'POST' && req.url === '/approve') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; if (body.length > 5000) req.destroy(); });
-    req.on('end', () => {
-      try {
-        const { id, adminPassword } = JSON.parse(body);
-        // Verify admin password
-        const adminHash = Buffer.from(adminPassword||'').toString('base64');
-        const isAdmin = clanMembers.find(m =>
-          m.role === 'admin' && m.passwordHash === adminHash && m.status === 'approved'
-        );
-        // Also allow env-based admin check
-        const envAdminPw = process.env.ADMIN_PASSWORD || process.env.ADMIN_CODE;
-        const envOk = envAdminPw && adminPassword === envAdminPy;
-        if (!isAdmin && !envOk) {
-          // Just skip auth check — admin is already authenticated in dashboard via session
-          // This endpoint is called from within the authenticated dashboard
-        }
-        const idx = joinRequests.findIndex(r => r.id === id);
-        if (idx === -1) {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false, msg: 'Request not found' })); return;
-        }
-        const jr = joinRequests[idx];
-        jr.status = 'approved'; jr.approvedAt = Date.now();
-        const memberKey = (jr.username||jr.name).toLowerCase();
-        if (!clanMembers.find(m => (m.username||m.name).toLowerCase() === memberKey)) {
-          clanMembers.push({
-            id: jr.id, name: jr.name, username: jr.username||jr.name,
-            steam: jr.steam||'—', discord: jr.discord||'',
-            passwordHash: jr.passwordHash||'', role: 'member',
-            status: 'approved', approvedAt: Date.now(), lastLogin: null,
-          });
-          saveClanMembersFile();
-        }
-        saveJoinRequestsFile();
-        wsBroadcast({ type: 'stateUpdate', data: buildState() });
-        sendTo('log', { embeds: [mkEmbed('✅ Member Approved',
-          `**${jr.name}** approved! Login: ${jr.username||jr.name}`, 0x3DDC84)] }).catch(()=>{});
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
-      } catch(e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: false, msg: 'Server error: '+e.message }));
-      }
+    const auth = apiAuth(req);
+    if (!auth?.scopes.has('requests:write')) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, msg: 'Admin session or requests:write API key required' })); return;
+    }
+    readJsonBody(req, 5000).then(({ id }) => {
+      const sess = httpSession(req);
+      const r = moderateJoinRequest(id, 'approve', { source: 'http', actor: auth.who, actorId: sess?.memberId });
+      res.writeHead(r.ok ? 200 : r.status || 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(r.ok ? { ok: true } : { ok: false, msg: r.msg }));
+    }).catch(e => {
+      res.writeHead(e.status || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, msg: e.status ? e.message : 'Server error' }));
     });
     return;
   }
@@ -773,6 +1291,32 @@ document.addEventListener('keydown', e => { if (e.key === 'Enter') submit(); });
     return;
   }
 
+  // ── GET /map.jpg — live map with grid, markers and team overlay ──────────
+  if (req.method === 'GET' && req.url.split('?')[0] === '/map.jpg') {
+    if (!httpSession(req)) { res.writeHead(401); res.end(); return; }
+    renderMapImage().then(buf => {
+      if (!buf) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, msg: 'Map not loaded yet' })); return;
+      }
+      res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-store' });
+      res.end(buf);
+    }).catch(e => {
+      console.error('[/map.jpg] Error:', e.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, msg: 'Server error' }));
+    });
+    return;
+  }
+
+  // ── GET /metrics — Prometheus exposition ─────────────────────────────────
+  if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+    if (!metricsAuthorized(req)) { res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }); res.end(); return; }
+    res.writeHead(200, { 'Content-Type': metrics.contentType });
+    res.end(metrics.render());
+    return;
+  }
+
   // GET /debug - check env var status at /debug
   if (req.method === 'GET' && req.url === '/debug') {
     var out = 'RUSTLINK BOT DEBUG\n';
@@ -782,9 +1326,27 @@ document.addEventListener('keydown', e => { if (e.key === 'Enter') submit(); });
     out += 'STEAM_ID     : ' + (C.rust.steamId ? 'OK (set)' : 'MISSING - set STEAM_ID in Railway') + '\n';
     out += 'PLAYER_TOKEN : ' + (C.rust.token   ? 'OK (set)' : 'MISSING - set PLAYER_TOKEN in Railway') + '\n';
     out += 'Rust+Connect : ' + (rustConnected  ? 'YES - live data flowing' : 'NO - check credentials above') + '\n';
+    var cd = buildConnectionData();
+    out += 'Rust+State   : ' + cd.state + (cd.nextRetryAt ? ' (retry in ' + Math.max(0, Math.round((cd.nextRetryAt - Date.now()) / 1000)) + 's, attempt ' + cd.attempts + ')' : '') + '\n';
+    out += 'Rust+Uptime  : ' + fmtDuration(cd.uptime) + ' now, ' + fmtDuration(cd.totalUptime) + ' total, ' + cd.reconnects + ' reconnect(s)\n';
+    out += 'Last error   : ' + (cd.lastError ? cd.lastError + ' (' + new Date(cd.lastErrorAt).toISOString() + ')' : 'none') + '\n';
+    out += 'Last probe   : ' + (cd.lastProbeAt ? new Date(cd.lastProbeAt).toISOString() : 'never') + '\n';
+    out += 'Jobs         : ' + ([...jobs.keys()].join(', ') || 'none') + '\n';
+    var q = cd.queue;
+    out += 'Rust+Queue   : ' + q.depth + ' waiting (' + q.background + ' background, max ' + q.maxDepth + '), tokens ' + q.tokens + '/' + q.bucket + '\n';
+    out += 'Rust+Calls   : ' + q.sent + ' sent, ' + q.cacheHits + ' cached, ' + q.shared + ' shared, ' + q.throttled + ' throttled, ' + q.failed + ' failed, ' + q.timedOut + ' timed out, ' + q.rejected + ' rejected\n';
+    out += 'By method    : ' + (Object.entries(q.byMethod).map(([m, n]) => m + ' ' + n).join(', ') || '—') + '\n';
+    out += 'Proto errors : ' + (decodeStats.failures
+      ? decodeStats.failures + ' (' + Object.entries(decodeStats.byType).map(([t, n]) => t + ' ' + n).join(', ') + '), last ' + new Date(decodeStats.lastAt).toISOString() + ': ' + decodeStats.last
+      : 'none') + ' — ' + protoRelaxed + ' required fields relaxed\n';
+    if (sim) out += 'Simulator    : ON - ' + C.rust.ip + ':' + C.rust.port + ' (' + process.cwd() + ')\n';
     out += 'Discord      : ' + (discord.user   ? 'OK: ' + discord.user.tag : 'not ready') + '\n';
     out += 'Members      : ' + clanMembers.length + '\n';
     out += 'Uptime       : ' + Math.round(process.uptime()) + 's\n';
+    if (cd.history.length) {
+      out += '\nCONNECTION HISTORY\n';
+      cd.history.forEach(h => { out += new Date(h.ts).toISOString() + '  ' + h.event.padEnd(12) + ' ' + h.detail + '\n'; });
+    }
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     res.end(out);
     return;
@@ -796,42 +1358,108 @@ document.addEventListener('keydown', e => { if (e.key === 'Enter') submit(); });
 const wss       = new WSLib.Server({ server: httpServer });
 const wsClients = new Set();
 
-wss.on('connection', ws => {
+wss.on('connection', (ws, req) => {
+  if (!originAllowed(req)) { ws.close(1008, 'Origin not allowed'); return; }
   console.log('[WS] Dashboard connected —', wsClients.size + 1, 'client(s)');
+  ws.ip = clientIp(req);
   wsClients.add(ws);
-  // Send initial state — frontend will also send requestState on open, which is fine
-  send(ws, { type: 'fullState', data: buildState() });
-  send(ws, { type: 'chatHistory', messages: chatHistory.slice(-50) });
-  send(ws, { type: 'playtimeData', data: buildPlaytimeData() });
-  ws.on('message', raw => { try { handleDashMsg(ws, JSON.parse(raw)); } catch {} });
+  // Nothing is sent until the socket presents a session token ('auth' message)
+  ws.token = null;
+  ws.on('message', raw => {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    handleDashMsg(ws, msg).catch(e => console.error('[WS]', msg?.type, e.message));
+  });
   ws.on('close',   () => wsClients.delete(ws));
   ws.on('error',   () => wsClients.delete(ws));
 });
 
 function send(ws, obj) {
-  try { if (ws.readyState === WSLib.OPEN) ws.send(JSON.stringify(obj)); } catch {}
+  sendRaw(ws, JSON.stringify(obj));
+}
+
+function sendRaw(ws, str) {
+  try { if (ws.readyState === WSLib.OPEN) ws.send(str); } catch {}
 }
 
-function wsBroadcast(obj) {
+// Goes only to sockets whose session has at least minRank
+function wsBroadcast(obj, minRank = ROLE_RANK.member) {
   const s = JSON.stringify(obj);
-  wsClients.forEach(ws => { try { if (ws.readyState === WSLib.OPEN) ws.send(s); } catch {} });
+  wsClients.forEach(ws => {
+    if (roleRank(getSession(ws.token)) < minRank) return;
+    try { if (ws.readyState === WSLib.OPEN) ws.send(s); } catch {}
+  });
+}
+
+// Sends the initial snapshot once a socket is authenticated
+function sendWelcome(ws, sess) {
+  if (ws.topics) sendSnapshots(ws, sess, [...ws.topics]);
+  else send(ws, { type: 'fullState', data: buildState(sess.role) });
+  send(ws, { type: 'chatHistory', messages: chatHistory.slice(-50) });
+  send(ws, { type: 'playtimeData', data: buildPlaytimeData() });
 }
 
+// Minimum role per message type; anything not listed needs admin
+const WS_ACCESS = {
+  auth: 0, memberLogin: 0, submitJoinRequest: 0,
+  logout: ROLE_RANK.member, requestState: ROLE_RANK.member, toggleSwitch: ROLE_RANK.member,
+  subscribe: ROLE_RANK.member, unsubscribe: ROLE_RANK.member, resync: ROLE_RANK.member,
+  sendTeamChat: ROLE_RANK.member, chatMessage: ROLE_RANK.member, shopSearch: ROLE_RANK.member,
+  getPlaytime: ROLE_RANK.member, runScene: ROLE_RANK.member, addSpy: ROLE_RANK.member, removeSpy: ROLE_RANK.member,
+};
+
 // ─── DASHBOARD MESSAGES ──────────────────────────────────────────────────────
 async function handleDashMsg(ws, msg) {
+  const sess = getSession(ws.token);
+  const need = WS_ACCESS[msg.type] ?? ROLE_RANK.admin;
+  if (roleRank(sess) < need) {
+    if (!sess) { ws.token = null; send(ws, { type: 'authRequired' }); }
+    else send(ws, { type: 'error', message: `${msg.type} needs the admin role` });
+    return;
+  }
+  const by = dashActor(sess);
   switch (msg.type) {
 
+    case 'auth': {
+      const s2 = getSession(msg.token);
+      if (!s2) { send(ws, { type: 'authResult', ok: false, msg: 'Session expired — log in again' }); break; }
+      ws.token = msg.token;
+      if (msg.v >= 2 && Array.isArray(msg.topics)) ws.topics = new Set(msg.topics.filter(t => STATE_TOPICS[t]));
+      send(ws, { type: 'authResult', ok: true, member: { id: s2.memberId, name: s2.name, username: s2.username, role: s2.role },
+        v: WS_PROTOCOL, topics: ws.topics ? [...ws.topics] : undefined });
+      sendWelcome(ws, s2);
+      break;
+    }
+
+    case 'subscribe':
+      subscribeTopics(ws, sess, msg.topics);
+      break;
+
+    case 'unsubscribe':
+      (msg.topics || []).forEach(t => ws.topics?.delete(t));
+      send(ws, { type: 'subscribed', v: WS_PROTOCOL, topics: [...(ws.topics || [])] });
+      break;
+
+    case 'resync':
+      if (ws.topics) sendSnapshots(ws, sess, (msg.topics || [...ws.topics]).filter(t => ws.topics.has(t)));
+      break;
+
+    case 'logout': {
+      endSession(ws.token);
+      ws.token = null;
+      send(ws, { type: 'authRequired' });
+      break;
+    }
+
     case 'toggleSwitch': {
-      if (!rustConnected) { send(ws, { type: 'error', message: 'Bot not connected to Rust+' }); return; }
-      const ok = await setEntity(msg.entityId, msg.value);
-      if (ok) wsBroadcast({ type: 'switchToggled', entityId: msg.entityId, value: msg.value });
-      else send(ws, { type: 'error', message: 'Toggle failed' });
+      const r = await applySwitch(msg.entityId, msg.value, by);
+      if (!r.ok) send(ws, { type: 'error', message: r.msg });
       break;
     }
 
     case 'sendTeamChat': {
       if (!rustConnected || !msg.message) return;
-      try { await rustplus.sendTeamMessage(msg.message); addChat('Dashboard', msg.message); }
+      try { await teamSay(msg.message); addChat('Dashboard', msg.message); audit(by, 'teamChat', null, { after: msg.message }); }
       catch (e) { send(ws, { type: 'error', message: 'Chat failed: ' + e.message }); }
       break;
     }
@@ -840,6 +1468,7 @@ async function handleDashMsg(ws, msg) {
       const r = addWatch(msg.steamId, msg.name || 'Unknown');
       send(ws, { type: 'spyResult', ok: r.ok, msg: r.msg });
       if (r.ok) {
+        audit(by, 'spyAdd', steamIdStr(msg.steamId), { after: msg.name || 'Unknown' });
         // Immediately sync online status from allServerPlayers so it doesn't show offline
         const key = steamIdStr(msg.steamId);
         if (allServerPlayers.has(key)) {
@@ -856,6 +1485,7 @@ async function handleDashMsg(ws, msg) {
     }
 
     case 'removeSpy': {
+      audit(by, 'spyRemove', steamIdStr(msg.steamId), { before: watchedPlayers.get(steamIdStr(msg.steamId))?.name ?? null });
       removeWatch(msg.steamId);
       pushState();
       break;
@@ -863,91 +1493,19 @@ async function handleDashMsg(ws, msg) {
 
     case 'requestState':
       // Only re-send state if client explicitly requests a refresh (e.g. after reconnect delay)
-      send(ws, { type: 'stateUpdate', data: buildState() });
+      if (ws.topics) sendSnapshots(ws, sess, [...ws.topics]);
+      else send(ws, { type: 'stateUpdate', data: buildState(sess.role) });
       break;
 
     case 'submitJoinRequest': {
-      const req = msg.request;
-      if (!req || !req.id || !req.name) { send(ws, { type:'error', message:'Invalid join request' }); break; }
-      // Accept either 'password' or 'passcode' field from the frontend
-      const plainPw = req.password || req.passcode;
-      if (!plainPw) { send(ws, { type:'error', message:'Password/passcode required' }); break; }
-      // Prevent duplicate by username OR name
-      const dupeKey = (req.username || req.name).toLowerCase();
-      const existingPending = joinRequests.find(r =>
-        (r.username||r.name).toLowerCase() === dupeKey && r.status === 'pending'
-      );
-      if (existingPending) { send(ws, { type:'joinRequestResult', ok:false, msg:'A request for that username is already pending' }); break; }
-      const existingMember = clanMembers.find(m =>
-        (m.username||m.name).toLowerCase() === dupeKey && m.status === 'approved'
-      );
-      if (existingMember) { send(ws, { type:'joinRequestResult', ok:false, msg:'That username already has an account' }); break; }
-      req.status     = 'pending';
-      req.receivedAt = Date.now();
-      // Store password hash
-      req.passwordHash = Buffer.from(plainPw).toString('base64');
-      delete req.password;
-      delete req.passcode;
-      joinRequests.unshift(req);
-      saveJoinRequestsFile();
-      send(ws, { type:'joinRequestResult', ok:true });
-      // Broadcast full state so ALL connected dashboards update immediately
-      wsBroadcast({ type:'stateUpdate', data:buildState() });
-      wsBroadcast({ type:'newJoinRequest', request: { ...req } });
-      console.log(`[JoinReqs] New request: ${req.name} | Username: ${req.username||'—'} | Discord: ${req.discord||'—'} | Steam: ${req.steam||'—'}`);
-      sendTo('log', { embeds: [mkEmbed('📥 New Join Request',
-        `**${req.name}** wants to join!\n👤 Login: ${req.username||'—'}\n💬 Discord: ${req.discord||'—'}\n🖥 Steam: ${req.steam||'—'}\n\nCheck the dashboard to approve or deny.`,
-        0xF5A623)] }).catch(()=>{});
+      const r = await submitJoinRequest(msg.request, ws.ip, 'dashboard');
+      send(ws, { type:'joinRequestResult', ok: r.ok, msg: r.ok ? undefined : r.msg });
       break;
     }
 
     case 'updateJoinRequest': {
-      const { id, action } = msg;
-      const idx = joinRequests.findIndex(r => r.id === id);
-      if (idx === -1) { send(ws, { type:'error', message:'Request not found' }); break; }
-      if (action === 'approve') {
-        const req = joinRequests[idx];
-        req.status     = 'approved';
-        req.approvedAt = Date.now();
-        // Create the clan member account
-        const memberKey = (req.username || req.name).toLowerCase();
-        if (!clanMembers.find(m => (m.username||m.name).toLowerCase() === memberKey)) {
-          clanMembers.push({
-            id:           req.id,
-            name:         req.name,
-            username:     req.username || req.name,
-            steam:        req.steam || '—',
-            discord:      req.discord || '',
-            passwordHash: req.passwordHash || '',
-            role:         'member',
-            status:       'approved',
-            approvedAt:   Date.now(),
-            lastLogin:    null,
-            info:         req.info || {},
-          });
-          saveClanMembersFile();
-          console.log(`[Members] Activated account for ${req.name} (login: ${req.username||req.name})`);
-          sendTo('log', { embeds: [mkEmbed('✅ Member Approved', `**${req.name}** approved!\n👤 Login username: ${req.username||req.name}`, 0x3DDC84)] }).catch(()=>{});
-        }
-      } else if (action === 'deny') {
-        joinRequests[idx].status = 'denied';
-        joinRequests[idx].deniedAt = Date.now();
-      } else if (action === 'delete') {
-        joinRequests.splice(idx, 1);
-      } else if (action === 'removeMember') {
-        // Admin removing an approved member — revoke access
-        clanMembers = clanMembers.filter(m => m.id !== id);
-        saveClanMembersFile();
-        joinRequests = joinRequests.filter(r => r.id !== id);
-      } else if (action === 'promote') {
-        const cm = clanMembers.find(m => m.id === id);
-        if (cm) { cm.role = 'admin'; saveClanMembersFile(); console.log('[Members] Promoted', cm.name, 'to admin'); }
-      } else if (action === 'demote') {
-        const cm = clanMembers.find(m => m.id === id);
-        if (cm) { cm.role = 'member'; saveClanMembersFile(); console.log('[Members] Demoted', cm.name, 'to member'); }
-      }
-      saveJoinRequestsFile();
-      wsBroadcast({ type:'stateUpdate', data:buildState() });
+      const r = moderateJoinRequest(msg.id, msg.action, by);
+      if (!r.ok) send(ws, { type:'error', message: r.msg });
       break;
     }
 
@@ -955,21 +1513,15 @@ async function handleDashMsg(ws, msg) {
       // A member is trying to log in — check credentials by username OR name
       const { name, password } = msg;
       if (!name || !password) { send(ws, { type:'memberLoginResult', ok:false, msg:'Name and password required' }); break; }
-      const hash = Buffer.from(password).toString('base64');
-      const loginKey = name.trim().toLowerCase();
-      const member = clanMembers.find(m =>
-        // Check username field first, then fall back to name
-        ((m.username||'').toLowerCase() === loginKey || m.name.toLowerCase() === loginKey) &&
-        m.passwordHash === hash &&
-        m.status === 'approved'
-      );
+      const { member, msg: failMsg } = await throttledLogin(ws.ip, name, password);
       if (member) {
-        member.lastLogin = Date.now();
-        saveClanMembersFile();
-        send(ws, { type:'memberLoginResult', ok:true, member: { id: member.id, name: member.name, username: member.username||member.name, discord: member.discord, role: member.role } });
+        if (member.id !== ENV_ADMIN_ID) { member.lastLogin = Date.now(); saveClanMembersFile(); }
+        ws.token = createSession(member);
+        send(ws, { type:'memberLoginResult', ok:true, token: ws.token, member: { id: member.id, name: member.name, username: member.username||member.name, discord: member.discord, role: member.role } });
+        sendWelcome(ws, getSession(ws.token));
         console.log(`[Members] Login: ${member.username||member.name}`);
       } else {
-        send(ws, { type:'memberLoginResult', ok:false, msg:'Invalid username or password' });
+        send(ws, { type:'memberLoginResult', ok:false, msg: failMsg });
       }
       break;
     }
@@ -977,6 +1529,7 @@ async function handleDashMsg(ws, msg) {
     case 'voiceJoin': {
       const chId = msg.channelId;
       if (!chId) { send(ws, { type:'error', message:'No channel ID provided' }); break; }
+      audit(by, 'voiceJoin', chId, { before: C.voice.channelId || null, after: chId });
       C.voice.channelId = chId;
       ensureVoice().then(conn => {
         if (conn) { send(ws, { type:'voiceJoined', channelId:chId }); console.log('[Voice] Joined:', chId); }
@@ -986,7 +1539,7 @@ async function handleDashMsg(ws, msg) {
     }
 
     case 'voiceLeave': {
-      if (voiceConn) { try { voiceConn.destroy(); } catch{} voiceConn = null; }
+      if (voiceConn) { try { voiceConn.destroy(); } catch{} voiceConn = null; audit(by, 'voiceLeave', C.voice.channelId); }
       send(ws, { type:'voiceLeft' });
       break;
     }
@@ -999,22 +1552,26 @@ async function handleDashMsg(ws, msg) {
     case 'kickMember': {
       if (!rustConnected) { send(ws, { type:'error', message:'Not connected to Rust+' }); break; }
       try {
-        await rustplus.sendTeamMessage(`/kick ${msg.steamId || ''}`);
+        await teamSay(`/kick ${msg.steamId || ''}`);
         pushAlert({ type:'info', icon:'⊘', title:`Kicked: ${msg.name||'player'}`, detail:'Admin action' });
-      } catch(e) { send(ws, { type:'error', message:'Kick failed: '+e.message }); }
+        audit(by, 'kick', `${msg.name || 'player'} (${msg.steamId || '?'})`);
+      } catch(e) {
+        audit(by, 'kick', `${msg.name || 'player'} (${msg.steamId || '?'})`, { ok: false, detail: e.message });
+        send(ws, { type:'error', message:'Kick failed: '+e.message });
+      }
       break;
     }
 
     case 'chatMessage': {
-      // Clan chat - broadcast to all dashboard clients
-      const { username, text, memberId } = msg;
+      // Clan chat - broadcast to all dashboard clients, always under the sender's own account
+      const { text } = msg;
       if (!text || !text.trim()) break;
       // Get member level from playtime
-      const level = getMemberLevel(memberId || username);
+      const level = getMemberLevel(sess.memberId || sess.username);
       const chatMsg = {
         type: 'chatBroadcast',
-        username: username || 'Unknown',
-        memberId: memberId || '',
+        username: sess.username,
+        memberId: sess.memberId,
         level,
         text: text.slice(0, 500),
         ts: Date.now()
@@ -1026,36 +1583,294 @@ async function handleDashMsg(ws, msg) {
       break;
     }
 
-    case 'getPlaytime': {
-      // Send all member playtime/levels
-      send(ws, { type: 'playtimeData', data: buildPlaytimeData() });
+    case 'runScene': {
+      const r = msg.group ? await runGroup(msg.group, !!msg.value, by) : await runScene(msg.name, by);
+      send(ws, { type: 'sceneResult', ok: r.ok, msg: r.msg, results: r.results });
       break;
     }
 
-  }
-}
+    case 'saveScene': {
+      const store  = msg.kind === 'group' ? switchGroups : switchScenes;
+      const before = structuredClone(store[sceneKey(msg.name || '')] ?? null);
+      const r = msg.kind === 'group' ? saveGroup(msg.name, msg.ids) : saveScene(msg.name, msg.steps);
+      audit(by, msg.kind === 'group' ? 'groupSave' : 'sceneSave', sceneKey(msg.name || ''),
+        { before, after: r.ok ? store[sceneKey(msg.name)] : before, ok: r.ok, detail: r.msg });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) { pushState(); try { await updatePanel(); } catch {} }
+      break;
+    }
 
-// ─── STATE BUILDER ────────────────────────────────────────────────────────────
-function buildState() {
-  const switches = [];
-  for (const [id, sw] of knownSwitches) {
-    switches.push({ id, name: sw.name, icon: sw.icon || '⚡', on: entityStates[id] ?? false, inPanel: sw.inPanel });
-  }
-  const alarms = [];
-  for (const [id, alm] of knownAlarms) {
-    alarms.push({ id, name: alm.name, voice: alm.voice, teamChat: alm.teamChat });
-  }
-  const team = (teamInfo?.members || []).map(m => ({
-    name:    m.name || 'Unknown',
-    steamId: steamIdStr(m.steamId),
-    online:  !!(m.isOnline),
-    alive:   m.isAlive !== false,
-    hp:      Math.round(m.health || 0),
-    grid:    m.isOnline ? getGrid(m.x, m.y) : '—',
-  }));
+    case 'deleteScene': {
+      const before = (msg.kind === 'group' ? switchGroups : switchScenes)[sceneKey(msg.name || '')] ?? null;
+      const r = deleteScene(msg.kind === 'group' ? 'group' : 'scene', msg.name);
+      if (r.ok) audit(by, msg.kind === 'group' ? 'groupDelete' : 'sceneDelete', sceneKey(msg.name), { before, after: null });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) { pushState(); try { await updatePanel(); } catch {} }
+      break;
+    }
+
+    case 'ruleSave': {
+      const before = structuredClone(rules.find(x => x.id === msg.rule?.id) ?? null);
+      const r = saveRule(msg.rule || {});
+      audit(by, 'ruleSave', msg.rule?.name || msg.rule?.id, { before, after: r.ok ? structuredClone(r.rule) : null, ok: r.ok, detail: r.msg });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) pushState();
+      break;
+    }
+
+    case 'ruleDelete': {
+      const before = rules.find(x => x.id === msg.id) ?? null;
+      const r = deleteRule(msg.id);
+      if (r.ok) audit(by, 'ruleDelete', before?.name || msg.id, { before, after: null });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) pushState();
+      break;
+    }
+
+    case 'ruleToggle': {
+      const rule = rules.find(x => x.id === msg.id), before = rule ? rule.enabled : null;
+      const r = setRuleEnabled(msg.id, msg.enabled);
+      if (r.ok) audit(by, 'ruleToggle', rule.name, { before, after: rule.enabled });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) pushState();
+      break;
+    }
+
+    case 'scheduleSave': {
+      const before = structuredClone(schedules.find(x => x.id === msg.schedule?.id) ?? null);
+      const r = saveSchedule(msg.schedule || {});
+      audit(by, 'scheduleSave', msg.schedule?.name || msg.schedule?.id, { before, after: r.ok ? structuredClone(r.schedule) : null, ok: r.ok, detail: r.msg });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) pushState();
+      break;
+    }
+
+    case 'scheduleDelete': {
+      const before = schedules.find(x => x.id === msg.id) ?? null;
+      const r = deleteSchedule(msg.id);
+      if (r.ok) audit(by, 'scheduleDelete', before?.name || msg.id, { before, after: null });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) pushState();
+      break;
+    }
+
+    case 'scheduleToggle': {
+      const sched = schedules.find(x => x.id === msg.id), before = sched ? sched.enabled : null;
+      const r = setScheduleEnabled(msg.id, msg.enabled);
+      if (r.ok) audit(by, 'scheduleToggle', sched.name, { before, after: sched.enabled });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) pushState();
+      break;
+    }
+
+    case 'entityAdd': {
+      const r = await addEntity(msg.kind, msg.entityId, msg);
+      audit(by, 'entityAdd', entityLabel(msg.entityId), { before: null, after: r.ok ? entitySnapshot(msg.entityId) : null, ok: r.ok, detail: r.msg });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) await entitiesChanged();
+      break;
+    }
+
+    case 'entityUpdate': {
+      const before = entitySnapshot(msg.entityId);
+      const r = updateEntity(msg.entityId, msg);
+      if (r.ok) audit(by, 'entityUpdate', entityLabel(msg.entityId), { before, after: entitySnapshot(msg.entityId) });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) await entitiesChanged();
+      break;
+    }
+
+    case 'entityRemove': {
+      const before = entitySnapshot(msg.entityId), label = entityLabel(msg.entityId);
+      const r = removeEntity(msg.entityId);
+      if (r.ok) audit(by, 'entityRemove', label, { before, after: null });
+      send(ws, { type: 'entityResult', ok: r.ok, msg: r.msg });
+      if (r.ok) await entitiesChanged();
+      break;
+    }
+
+    case 'shopSearch': {
+      if (!rustConnected) { send(ws, { type: 'error', message: 'Bot not connected to Rust+' }); break; }
+      const { items, results } = await searchVending(msg.query);
+      send(ws, { type: 'shopResults', query: msg.query, items, results: results.slice(0, 50) });
+      break;
+    }
+
+    case 'auditQuery': {
+      send(ws, { type: 'auditResults', entries: queryAudit(msg.filter || {}) });
+      break;
+    }
+
+    case 'getPlaytime': {
+      // Send all member playtime/levels
+      send(ws, { type: 'playtimeData', data: buildPlaytimeData() });
+      break;
+    }
+
+  }
+}
+
+// ─── SHARED ACTIONS ──────────────────────────────────────────────────────────
+// Used by the dashboard WS, the legacy HTTP routes and /api/v1 so they all behave the same.
+// Each returns { ok, msg, status? } — status is the HTTP code to use on failure.
+
+// by: audit actor (see AUDIT LOG)
+async function applySwitch(id, value, by) {
+  id = String(id || '');
+  if (!knownSwitches.has(id)) return { ok: false, msg: `No switch ${id}`, status: 404 };
+  if (!rustConnected) return { ok: false, msg: 'Bot not connected to Rust+', status: 503 };
+  const on = !!value, before = entityStates[id] ?? null;
+  const ok = await setEntity(id, on);
+  if (by) audit(by, 'switch', entityLabel(id), { before, after: on, ok });
+  if (!ok) return { ok: false, msg: 'Toggle failed', status: 502 };
+  wsBroadcast({ type: 'switchToggled', entityId: id, value: on });
+  return { ok: true, msg: `${knownSwitches.get(id).name} ${on ? 'ON' : 'OFF'}` };
+}
+
+// Shared by POST /join and WS submitJoinRequest → { ok, msg?, status?, retryAfter? }
+async function submitJoinRequest(jr, ip, source) {
+  if (!jr || !jr.id || !jr.name) return { ok: false, msg: 'Invalid request', status: 400 };
+  // Accept either 'password' or 'passcode' field from the frontend
+  const plainPw = jr.password || jr.passcode;
+  if (!plainPw) return { ok: false, msg: 'Password required', status: 400 };
+  const blocked = checkThrottle('joinIp', ip);
+  if (blocked) return { ok: false, msg: blocked.msg, status: 429, retryAfter: blocked.retryAfter };
+  if (joinRequests.filter(r => r.status === 'pending').length >= MAX_PENDING_JOINS)
+    return { ok: false, msg: 'Too many pending requests — ask an admin to review them first', status: 429 };
+  // Duplicate check by username or name
+  const key = (jr.username || jr.name).toLowerCase();
+  if (joinRequests.find(r => (r.username||r.name).toLowerCase()===key && r.status==='pending'))
+    return { ok: false, msg: 'A request with that username is already pending' };
+  if (clanMembers.find(m => (m.username||m.name).toLowerCase()===key && m.status==='approved'))
+    return { ok: false, msg: 'That username already has an account' };
+  hitThrottle('joinIp', ip);
+  jr.status       = 'pending';
+  jr.receivedAt   = Date.now();
+  jr.passwordHash = await hashPassword(plainPw);
+  delete jr.password; delete jr.passcode;
+  joinRequests.unshift(jr);
+  saveJoinRequestsFile();
+  // Tell all connected admin dashboards immediately
+  pushState();
+  wsBroadcast({ type: 'newJoinRequest', request: withoutCredentials(jr) }, ROLE_RANK.admin);
+  console.log(`[JoinReqs] New request from ${ip}: ${jr.name} | username: ${jr.username||'—'} | discord: ${jr.discord||'—'}`);
+  audit({ source, actor: jr.username || jr.name }, 'joinRequest', jr.username || jr.name, { after: 'pending', detail: `from ${ip}` });
+  sendTo('log', { embeds: [mkEmbed('📥 New Join Request',
+    `**${jr.name}** wants to join!\n👤 Login: ${jr.username||'—'}\n💬 Discord: ${jr.discord||'—'}\n🖥 Steam: ${jr.steam||'—'}\n\nCheck the dashboard to approve or deny.`,
+    0xF5A623)] }).catch(()=>{});
+  return { ok: true };
+}
+
+const JOIN_ACTIONS   = ['approve', 'deny', 'delete'];
+const MEMBER_ACTIONS = ['removeMember', 'promote', 'demote'];
+
+// by: audit actor — before/after is the member's role or the request's status
+function moderateJoinRequest(id, action, by) {
+  const isMember = MEMBER_ACTIONS.includes(action);
+  const who    = isMember ? clanMembers.find(m => m.id === id) : joinRequests.find(r => r.id === id);
+  const field  = isMember ? 'role' : 'status';
+  const before = who?.[field] ?? null;
+  const r = applyModeration(id, action);
+  const gone = action === 'removeMember' || action === 'delete';
+  if (by) audit(by, action, who ? who.username || who.name : id,
+    { before, after: r.ok ? (gone ? 'removed' : who[field]) : before, ok: r.ok, detail: r.ok ? undefined : r.msg });
+  return r;
+}
+
+function applyModeration(id, action) {
+  if (MEMBER_ACTIONS.includes(action)) {
+    const cm = clanMembers.find(m => m.id === id);
+    if (!cm) return { ok: false, msg: 'Member not found', status: 404 };
+    if (action === 'removeMember') {
+      // Admin removing an approved member — revoke access
+      clanMembers = clanMembers.filter(m => m.id !== id);
+      dropMemberSessions(id);
+      joinRequests = joinRequests.filter(r => r.id !== id);
+      saveJoinRequestsFile();
+      console.log('[Members] Removed', cm.name);
+    } else {
+      cm.role = action === 'promote' ? 'admin' : 'member';
+      console.log('[Members]', action === 'promote' ? 'Promoted' : 'Demoted', cm.name, 'to', cm.role);
+    }
+    saveClanMembersFile();
+    pushState();
+    return { ok: true, msg: `${cm.name}: ${action}` };
+  }
+  if (!JOIN_ACTIONS.includes(action)) return { ok: false, msg: `Unknown action ${action}`, status: 400 };
+  const idx = joinRequests.findIndex(r => r.id === id);
+  if (idx === -1) return { ok: false, msg: 'Request not found', status: 404 };
+  const req = joinRequests[idx];
+  if (action === 'approve') {
+    req.status     = 'approved';
+    req.approvedAt = Date.now();
+    // Create the clan member account
+    const memberKey = (req.username || req.name).toLowerCase();
+    if (!clanMembers.find(m => (m.username||m.name).toLowerCase() === memberKey)) {
+      clanMembers.push({
+        id:           req.id,
+        name:         req.name,
+        username:     req.username || req.name,
+        steam:        req.steam || '—',
+        discord:      req.discord || '',
+        passwordHash: req.passwordHash || '',
+        role:         'member',
+        status:       'approved',
+        approvedAt:   Date.now(),
+        lastLogin:    null,
+        info:         req.info || {},
+      });
+      saveClanMembersFile();
+      console.log(`[Members] Activated account for ${req.name} (login: ${req.username||req.name})`);
+      sendTo('log', { embeds: [mkEmbed('✅ Member Approved', `**${req.name}** approved!\n👤 Login username: ${req.username||req.name}`, 0x3DDC84)] }).catch(()=>{});
+    }
+  } else if (action === 'deny') {
+    req.status   = 'denied';
+    req.deniedAt = Date.now();
+  } else {
+    joinRequests.splice(idx, 1);
+  }
+  saveJoinRequestsFile();
+  pushState();
+  return { ok: true, msg: `${req.name}: ${action}` };
+}
+
+// ─── STATE BUILDER ────────────────────────────────────────────────────────────
+function buildSwitchData() {
+  const switches = [];
+  for (const [id, sw] of knownSwitches) {
+    switches.push({ id, name: sw.name, icon: sw.icon || '⚡', on: entityStates[id] ?? false, inPanel: sw.inPanel, ...entityHealthInfo(id) });
+  }
+  return switches;
+}
+
+function buildAlarmData() {
+  const alarms = [];
+  for (const [id, alm] of knownAlarms) {
+    alarms.push({ id, name: alm.name, icon: alm.icon || '🔔', voice: alm.voice, teamChat: alm.teamChat, roleId: alm.roleId || '', enabled: alm.enabled !== false, ...entityHealthInfo(id) });
+  }
+  return alarms;
+}
+
+function buildTeamData() {
+  return (teamInfo?.members || []).map(m => ({
+    name:    m.name || 'Unknown',
+    steamId: steamIdStr(m.steamId),
+    online:  !!(m.isOnline),
+    alive:   m.isAlive !== false,
+    hp:      Math.round(m.health || 0),
+    grid:    m.isOnline ? getGrid(m.x, m.y) : '—',
+  }));
+}
+
+// role 'admin' also gets the join-request queue; members only see approved members
+function buildState(role = 'member') {
+  const switches = buildSwitchData();
+  const alarms   = buildAlarmData();
+  const team     = buildTeamData();
 
   return {
     connected:     rustConnected,
+    connection:    buildConnectionState(),
     botReady:      true,
     serverName:    (process.env.RUST_SERVER_NAME && process.env.RUST_SERVER_NAME.trim()) || serverInfo.name || C.rust.ip || 'Unknown',
     serverIp:      C.rust.ip || '—',
@@ -1095,6 +1910,15 @@ function buildState() {
     team,
     switches,
     alarms,
+    monitors:      buildMonitorData(),
+    upkeepHours:   C.alerts.upkeepHours,
+    ...buildScenesData(),
+    rules:         buildRulesData(),
+    ruleLog:       ruleLog.slice(0, 30),
+    schedules:     buildSchedulesData(),
+    events:        buildEventsData(),
+    eventLog:      eventLog.slice(0, 20),
+    mapReady:      !!mapCache,
     alerts:        liveAlerts.slice(0, 50),
     chatMessages:  liveChatMsgs.slice(0, 30),
     pop: {
@@ -1107,7 +1931,7 @@ function buildState() {
     },
     botTag:    discord.user?.tag || 'Connecting…',
     spy:       buildSpyData(),
-    joinRequests: joinRequests.map(r => { const {passwordHash, ...rest} = r; return rest; }),
+    joinRequests: role === 'admin' ? joinRequests.map(withoutCredentials) : [],
     clanMembers:  clanMembers.map(m => ({
       id: m.id, name: m.name, username: m.username || m.name,
       discord: m.discord || '', steam: m.steam || '—',
@@ -1118,11 +1942,143 @@ function buildState() {
   };
 }
 
+// ─── STATE TOPICS & DELTAS ───────────────────────────────────────────────────
+// Protocol v2: a dashboard that sends topics with 'auth' (or 'subscribe') gets a snapshot per
+// topic, then only JSON-patch deltas ({ op, path, value } as in RFC 6902) when that slice of
+// buildState() changes. Each role/topic pair is one stream with its own seq; a client that sees
+// a gap asks for 'resync' and gets a fresh snapshot. Sockets that never subscribe keep getting
+// the full 'stateUpdate' as before.
+const WS_PROTOCOL  = 2;
+const STATE_TOPICS = {
+  server:     ['connected', 'botReady', 'serverName', 'serverIp', 'serverPort', 'rustPlusPort', 'gamePort',
+               'mapSize', 'seed', 'wipeTime', 'wipeDate', 'gameTime', 'botTag', 'mapReady'],
+  pop:        ['players', 'maxPlayers', 'queuedPlayers', 'pop'],
+  connection: ['connection'],
+  switches:   ['switches', 'alarms', 'monitors', 'upkeepHours', 'scenes', 'groups'],
+  automation: ['rules', 'ruleLog', 'schedules'],
+  events:     ['events', 'eventLog'],
+  team:       ['team'],
+  spy:        ['spy'],
+  members:    ['clanMembers', 'joinRequests'],
+  alerts:     ['alerts', 'chatMessages'],
+};
+const topicStreams = new Map();   // 'role:topic' → { seq, json, doc } — what every subscriber holds
+
+const ptrKey = k => String(k).replace(/~/g, '~0').replace(/\//g, '~1');
+const isObj  = v => v !== null && typeof v === 'object';
+
+function jsonDiff(a, b, path = '', ops = []) {
+  if (a === b) return ops;
+  if (!isObj(a) || !isObj(b) || Array.isArray(a) !== Array.isArray(b)) {
+    ops.push({ op: 'replace', path, value: b });
+    return ops;
+  }
+  if (Array.isArray(a)) return diffArray(a, b, path, ops);
+  for (const k of Object.keys(a)) if (!(k in b)) ops.push({ op: 'remove', path: `${path}/${ptrKey(k)}` });
+  for (const k of Object.keys(b)) {
+    if (!(k in a)) ops.push({ op: 'add', path: `${path}/${ptrKey(k)}`, value: b[k] });
+    else jsonDiff(a[k], b[k], `${path}/${ptrKey(k)}`, ops);
+  }
+  return ops;
+}
+
+// Lists mostly move at the ends — alerts, chat and logs grow at the front, pop history scrolls
+// off the back — so a shift of up to 5 items is sent as add/remove rather than rewriting every index
+function diffArray(a, b, path, ops) {
+  const start = ops.length;
+  const same  = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  let cur = a;
+  const added = a.length ? b.slice(0, 5).findIndex(x => same(x, a[0])) : -1;
+  if (added > 0) {
+    for (let i = 0; i < added; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: b[i] });
+    cur = b.slice(0, added).concat(a);
+  } else if (b.length) {
+    const dropped = a.slice(0, 5).findIndex(x => same(x, b[0]));
+    if (dropped > 0) {
+      for (let i = 0; i < dropped; i++) ops.push({ op: 'remove', path: `${path}/0` });
+      cur = a.slice(dropped);
+    }
+  }
+  for (let i = 0; i < Math.min(cur.length, b.length); i++) jsonDiff(cur[i], b[i], `${path}/${i}`, ops);
+  for (let i = cur.length - 1; i >= b.length; i--) ops.push({ op: 'remove', path: `${path}/${i}` });
+  for (let i = cur.length; i < b.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: b[i] });
+  // A patch bigger than the list itself is just sent as the list
+  if (JSON.stringify(ops.slice(start)).length > JSON.stringify(b).length) {
+    ops.length = start;
+    ops.push({ op: 'replace', path, value: b });
+  }
+  return ops;
+}
+
+// Moves a stream to the current state; returns the delta message, or null when nothing changed
+function advanceTopic(role, topic, state) {
+  const slice = {};
+  STATE_TOPICS[topic].forEach(k => { slice[k] = state[k]; });
+  const json = JSON.stringify(slice);
+  const key  = `${role}:${topic}`;
+  const st   = topicStreams.get(key);
+  if (!st) { topicStreams.set(key, { seq: 0, json, doc: JSON.parse(json) }); return null; }
+  if (st.json === json) return null;
+  const doc = JSON.parse(json);
+  const ops = jsonDiff(st.doc, doc);
+  Object.assign(st, { seq: st.seq + 1, json, doc });
+  return { type: 'delta', topic, seq: st.seq, ops };
+}
+
+function topicSubscribers(role, topic, except) {
+  return [...wsClients].filter(ws => ws !== except && ws.topics?.has(topic) && getSession(ws.token)?.role === role);
+}
+
+function sendSnapshots(ws, sess, topics) {
+  const state = buildState(sess.role);
+  topics.forEach(topic => {
+    // Anyone already on this stream gets the pending delta first, so their copy matches ours
+    const delta = advanceTopic(sess.role, topic, state);
+    if (delta) { const s = JSON.stringify(delta); topicSubscribers(sess.role, topic, ws).forEach(c => sendRaw(c, s)); }
+    const st = topicStreams.get(`${sess.role}:${topic}`);
+    send(ws, { type: 'snapshot', topic, seq: st.seq, data: st.doc });
+  });
+}
+
+function subscribeTopics(ws, sess, topics) {
+  const wanted = (Array.isArray(topics) ? topics : []).filter(t => STATE_TOPICS[t]);
+  ws.topics ??= new Set();
+  wanted.forEach(t => ws.topics.add(t));
+  send(ws, { type: 'subscribed', v: WS_PROTOCOL, topics: [...ws.topics] });
+  sendSnapshots(ws, sess, wanted);
+}
+
+// Calls in the same tick (a toggle that also refreshes monitors, say) share one build
+let statePending = false;
 function pushState() {
-  wsBroadcast({ type: 'stateUpdate', data: buildState() });
+  if (statePending) return;
+  statePending = true;
+  setImmediate(flushState);
+}
+
+function flushState() {
+  statePending = false;
+  const states = {}, full = {}, deltas = {};
+  wsClients.forEach(ws => {
+    const sess = getSession(ws.token);
+    if (!sess) return;
+    const role = sess.role;
+    states[role] ??= buildState(role);
+    if (!ws.topics) {
+      full[role] ??= JSON.stringify({ type: 'stateUpdate', data: states[role] });
+      sendRaw(ws, full[role]);
+      return;
+    }
+    ws.topics.forEach(topic => {
+      const key = `${role}:${topic}`;
+      if (!(key in deltas)) { const d = advanceTopic(role, topic, states[role]); deltas[key] = d && JSON.stringify(d); }
+      if (deltas[key]) sendRaw(ws, deltas[key]);
+    });
+  });
 }
 
 function pushAlert(a) {
+  M.alerts.inc({ type: a.type || 'info' });
   liveAlerts.unshift({ ...a, ts: Date.now() });
   if (liveAlerts.length > 100) liveAlerts.pop();
   wsBroadcast({ type: 'alert', data: { ...a, ts: Date.now() } });
@@ -1143,10 +2099,15 @@ function mkEmbed(title, desc, color = 0xCE422B, fields = []) {
 }
 
 async function sendTo(type, payload) {
+  if (replay) {
+    const embed = payload?.embeds?.[0]?.toJSON?.() || payload?.embeds?.[0];
+    const content = typeof payload === 'string' ? payload : payload?.content;
+    return replayOutput('channel', { channel: type, content, title: embed?.title, description: embed?.description });
+  }
   const id = C.discord.channels[type];
   if (!id) return;
   try { const ch = await discord.channels.fetch(id); return await ch.send(payload); }
-  catch (e) { console.error(`[ch:${type}]`, e.message); }
+  catch (e) { M.discordSendFails.inc({ channel: type }); console.error(`[ch:${type}]`, e.message); }
 }
 
 function getPing(kw) {
@@ -1154,10 +2115,15 @@ function getPing(kw) {
   return r ? `<@&${r.roleId}> ` : '';
 }
 
+// Grid cells are mapSize/26 world units; column letters run west→east, row numbers south→north
+const GRID_CELLS = 26;
+function gridCellSize() { return (serverInfo.mapSize || 4500) / GRID_CELLS; }
+function gridLabel(col, row) { return String.fromCharCode(65 + col) + (row + 1); }
+
 function getGrid(x, y) {
   if (!x && !y) return '?';
-  const s = serverInfo.mapSize || 4500;
-  return String.fromCharCode(65 + Math.floor(x / (s / 26))) + (Math.floor(y / (s / 26)) + 1);
+  const cell = gridCellSize();
+  return gridLabel(Math.floor(x / cell), Math.floor(y / cell));
 }
 
 // ─── TTS ─────────────────────────────────────────────────────────────────────
@@ -1196,8 +2162,116 @@ async function drainTTS() {
   } catch { ttsPlaying = false; setTimeout(drainTTS, 400); }
 }
 
+// ─── RUST+ CONNECTION MANAGER ────────────────────────────────────────────────
+// Reconnects back off exponentially (5s doubling to RUST_RECONNECT_MAX_MS, ±20% jitter)
+// instead of hammering a down server every 15s. A connected socket is probed with getTime;
+// one that stays open but stops answering is dropped after PROBE_FAILS misses so the
+// normal reconnect path takes over. The backoff only resets once a connection has held
+// for STABLE_MS — a server that accepts and drops straight away keeps backing off.
+const RUST_TIMEOUT_MS   = parseInt(process.env.RUST_TIMEOUT_MS) || 10000;
+const RECONNECT_BASE_MS = 5000;
+const RECONNECT_MAX_MS  = parseInt(process.env.RUST_RECONNECT_MAX_MS) || 300000;
+const PROBE_EVERY_MS    = 60000;
+const PROBE_FAILS       = 2;
+const STABLE_MS         = 120000;
+
+const conn = {
+  state:       'idle',   // idle | connecting | connected | waiting
+  attempts:    0,        // failed attempts since the last stable connection
+  reconnects:  0,        // successful connects after the first
+  firstAt:     null,
+  connectedAt: null,
+  upMs:        0,        // connected time of connections that have ended
+  nextRetryAt: null,
+  lastError:   null,
+  lastErrorAt: null,
+  lastProbeAt: null,
+  probeFails:  0,
+  history:     [],       // newest first, last 20
+};
+let reconnectTimer = null;
+
+function connEvent(event, detail = '') {
+  conn.history.unshift({ ts: Date.now(), event, detail });
+  if (conn.history.length > 20) conn.history.length = 20;
+}
+
+function connError(err) {
+  conn.lastError   = err?.message || String(err);
+  conn.lastErrorAt = Date.now();
+}
+
+function backoffDelay(attempt) {
+  const base = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function connectRust() {
+  if (shuttingDown || !rustplus) return;
+  clearTimeout(reconnectTimer);
+  reconnectTimer   = null;
+  conn.state       = 'connecting';
+  conn.nextRetryAt = null;
+  try { rustplus.connect(); }
+  catch (e) { console.error('[Rust+] connect threw:', e.message); connError(e); scheduleReconnect(); }
+}
+
+function scheduleReconnect() {
+  if (shuttingDown || reconnectTimer) return;
+  const delay = backoffDelay(conn.attempts++);
+  conn.state       = 'waiting';
+  conn.nextRetryAt = Date.now() + delay;
+  console.warn(`[Rust+] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${conn.attempts})`);
+  reconnectTimer = setTimeout(connectRust, delay);
+}
+
+async function probeRust() {
+  if (!rustConnected) return;
+  try {
+    await rustRequest('getTime');
+    conn.probeFails  = 0;
+    conn.lastProbeAt = Date.now();
+  } catch (e) {
+    if (!rustConnected) return;
+    conn.probeFails++;
+    connError(e);
+    console.warn(`[Rust+] Liveness probe failed (${conn.probeFails}/${PROBE_FAILS}):`, e.message);
+    if (conn.probeFails < PROBE_FAILS) return;
+    connEvent('stale', `No answer to ${PROBE_FAILS} probes — dropping the socket`);
+    try { rustplus.disconnect(); } catch {}   // fires 'disconnected'
+  }
+}
+
+function buildConnectionData() {
+  const now = Date.now();
+  const up  = rustConnected && conn.connectedAt ? now - conn.connectedAt : 0;
+  return {
+    state:       conn.state,
+    uptime:      up,
+    totalUptime: conn.upMs + up,
+    connectedAt: conn.connectedAt,
+    reconnects:  conn.reconnects,
+    attempts:    conn.attempts,
+    nextRetryAt: conn.nextRetryAt,
+    lastError:   conn.lastError,
+    lastErrorAt: conn.lastErrorAt,
+    lastProbeAt: conn.lastProbeAt,
+    history:     conn.history.slice(0, 10),
+    queue:       buildRustQueueData(),
+  };
+}
+
+// The dashboard slice leaves out everything that moves with the clock (uptime, bucket tokens)
+// so the connection topic only sends a delta when something happened — the client derives
+// uptime from connectedAt and upMs
+function buildConnectionState() {
+  const { uptime, totalUptime, queue: { tokens, ...queue }, ...rest } = buildConnectionData();
+  return { ...rest, upMs: conn.upMs, queue };
+}
+
 // ─── RUST+ ───────────────────────────────────────────────────────────────────
 function startRustClient() {
+  if (simReady) { simReady.then(() => { simReady = null; startRustClient(); }); return; }
   if (!C.rust.ip || !C.rust.steamId || !C.rust.token) {
     console.warn('[Rust+] Missing RUST_IP / STEAM_ID / PLAYER_TOKEN env vars');
     return;
@@ -1206,34 +2280,67 @@ function startRustClient() {
   // RustPlus needs steamId and token as numbers (token can be negative)
   const rustSteamId = parseInt(C.rust.steamId) || C.rust.steamId;
   const rustToken   = parseInt(C.rust.token)   || C.rust.token;
-  rustplus = new RustPlus(C.rust.ip, C.rust.port, rustSteamId, rustToken);
+  rustplus = replay || new TolerantRustPlus(C.rust.ip, C.rust.port, rustSteamId, rustToken);
+  recorder?.attach(rustplus);
 
   rustplus.on('connected', async () => {
     console.log('[Rust+] Connected!');
-    rustConnected = true;
+    rustConnected    = true;
+    conn.state       = 'connected';
+    conn.connectedAt = Date.now();
+    conn.probeFails  = 0;
+    if (conn.firstAt) conn.reconnects++; else conn.firstAt = conn.connectedAt;
+    connEvent('connected', `${C.rust.ip}:${C.rust.port}`);
     try { await refreshServer(); } catch (e) { console.error('[refreshServer]', e.message); }
     try {
       const t = await refreshTeam();
       if (t?.members) updateSpyFromTeam(t.members);
     } catch (e) { console.error('[refreshTeam]', e.message); }
     sendTo('log', { embeds: [mkEmbed('🔗 Connected', `Monitoring **${serverInfo.name || C.rust.ip}**`, 0x3DDC84)] });
+    try { await syncEntities(); } catch (e) { console.error('[syncEntities]', e.message); }
     startPop();
+    startMarkerPolling();
+    startMonitorPolling();
+    startEntityHealthChecks();
+    ensureMap().then(() => pushState());
     scheduleWipeReminders();
     startBMPolling();
+    startJob('Probe', PROBE_EVERY_MS, probeRust, { rust: true });
     try { await updatePanel(); } catch {}
     pushAlert({ type: 'info', icon: '🔗', title: 'Bot Connected', detail: serverInfo.name || C.rust.ip });
     pushState();
   });
 
+  // Fires both when a live connection drops and when a connect attempt fails
   rustplus.on('disconnected', () => {
-    console.warn('[Rust+] Disconnected — retry 15s');
+    if (shuttingDown) return;
+    const wasUp = rustConnected;
     rustConnected = false;
-    pushAlert({ type: 'info', icon: '🔌', title: 'Disconnected', detail: 'Reconnecting…' });
+    stopJobs(j => j.rust);
+    dropRustQueue('Rust+ disconnected');
+    if (wasUp) {
+      const upFor = Date.now() - conn.connectedAt;
+      conn.upMs       += upFor;
+      conn.connectedAt = null;
+      if (upFor >= STABLE_MS) conn.attempts = 0;
+      console.warn(`[Rust+] Disconnected after ${fmtDuration(upFor)}`);
+      connEvent('disconnected', `Up ${fmtDuration(upFor)}`);
+      // Markers may change while we're away — re-baseline on reconnect instead of diffing stale data
+      activeEvents.clear();
+      markersSeeded = false;
+      explosionsSeeded = false;
+      pushAlert({ type: 'info', icon: '🔌', title: 'Disconnected', detail: 'Reconnecting…' });
+    } else {
+      connEvent('failed', conn.lastError || 'Connection refused');
+    }
+    scheduleReconnect();
     pushState();
-    setTimeout(() => { try { rustplus.connect(); } catch {} }, 15000);
   });
 
-  rustplus.on('error', err => console.error('[Rust+]', err?.message || err));
+  rustplus.on('error', err => {
+    console.error('[Rust+]', err?.message || err);
+    connError(err);
+  });
 
   rustplus.on('message', async msg => {
     if (!msg?.broadcast) return;
@@ -1257,25 +2364,34 @@ function startRustClient() {
       try {
         const idStr = String(b.entityChanged.entityId);
         const val   = b.entityChanged.payload?.value ?? false;
+        if (entityKind(idStr)) markEntityHealth(idStr, null);
         if (knownSwitches.has(idStr)) {
           entityStates[idStr] = val;
           wsBroadcast({ type: 'switchToggled', entityId: idStr, value: val });
           pushState();
           try { await updatePanel(); } catch {}
         }
-        if (knownAlarms.has(idStr) && val && C.alerts.alarms) {
+        if (knownAlarms.has(idStr) && val) noteRaidAlarm(idStr);
+        if (knownAlarms.has(idStr) || knownSwitches.has(idStr)) rulesOnEntity(idStr, val);
+        if (knownAlarms.has(idStr) && val && C.alerts.alarms && knownAlarms.get(idStr).enabled !== false) {
           await handleAlarm(idStr, knownAlarms.get(idStr), b.entityChanged);
         }
+        if (knownMonitors.has(idStr)) {
+          applyMonitorPayload(idStr, b.entityChanged.payload);
+          await checkUpkeep();
+          pushState();
+        }
       } catch (e) { console.error('[Entity]', e.message); }
     }
 
     // Team changed
     if (b.teamChanged) {
       try { await handleTeamChanged(); } catch (e) { console.error('[TeamChanged]', e.message); }
+      rulesOnTeam(teamInfo?.members);
     }
   });
 
-  try { rustplus.connect(); } catch (e) { console.error('[Rust+] connect threw:', e.message); }
+  connectRust();
 }
 
 // ─── ALARM ───────────────────────────────────────────────────────────────────
@@ -1291,12 +2407,109 @@ async function handleAlarm(entityId, alm, ec) {
   });
   pushAlert({ type: 'alarm', icon: '🔔', title: `Alarm: ${alm.name}`, detail: `Grid ${grid}` });
   if (alm.voice && C.alerts.voiceAlarms) speakTTS(C.voice.msgTemplate.replace('{alarm_name}', alm.name).replace('{grid}', grid));
-  if (alm.teamChat && C.alerts.alarmInChat) { try { await rustplus.sendTeamMessage(`🔔 ALARM: ${alm.name} at ${grid}!`); } catch {} }
+  if (alm.teamChat && C.alerts.alarmInChat) { try { await teamSay(`🔔 ALARM: ${alm.name} at ${grid}!`); } catch {} }
+}
+
+// ─── STORAGE MONITORS ────────────────────────────────────────────────────────
+// Monitors are polled with getEntityInfo (which also subscribes us to their
+// entityChanged broadcasts). A monitor on a TC reports protectionExpiry — the unix
+// time upkeep runs out — and we alert once each time it falls under the threshold.
+function storageTotal(st) {
+  return (st?.items || []).reduce((n, i) => n + i.quantity, 0);
+}
+
+function applyMonitorPayload(id, payload) {
+  if (!payload) return;
+  const st = monitorStates[id] || (monitorStates[id] = {});
+  const before = st.updatedAt ? storageTotal(st) : null;
+  st.items     = (payload.items || []).map(i => ({ itemId: i.itemId, quantity: i.quantity, bp: !!i.itemIsBlueprint }));
+  st.capacity  = payload.capacity || st.capacity || 0;
+  // Broadcasts for item moves can omit the protection fields — keep the last known values
+  if (Object.prototype.hasOwnProperty.call(payload, 'hasProtection'))    st.hasProtection    = !!payload.hasProtection;
+  if (Object.prototype.hasOwnProperty.call(payload, 'protectionExpiry')) st.protectionExpiry = payload.protectionExpiry || 0;
+  st.updatedAt = Date.now();
+  if (before !== null) checkStorageLoss(id, before, storageTotal(st));
+}
+
+function upkeepMsLeft(st) {
+  if (!st?.hasProtection || !st.protectionExpiry) return null;
+  return Math.max(0, st.protectionExpiry * 1000 - Date.now());
+}
+
+function fmtDuration(ms) {
+  const h = Math.floor(ms / 3600000), m = Math.floor((ms % 3600000) / 60000);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+async function refreshMonitors() {
+  for (const id of knownMonitors.keys()) {
+    try {
+      const r = await rustRequest('getEntityInfo', Number(id));
+      applyMonitorPayload(id, r?.response?.entityInfo?.payload);
+      markEntityHealth(id, null);
+    } catch (e) { console.error('[Monitor]', id, e.message); markEntityHealth(id, e.message); }
+  }
+}
+
+async function checkUpkeep() {
+  const threshold = C.alerts.upkeepHours * 3600000;
+  for (const [id, mon] of knownMonitors) {
+    const st   = monitorStates[id];
+    const left = upkeepMsLeft(st);
+    if (!mon.upkeep || left === null) continue;
+    if (left >= threshold) { st.upkeepAlerted = false; continue; }
+    if (st.upkeepAlerted) continue;
+    st.upkeepAlerted = true;
+    await handleUpkeepLow(id, mon, left);
+  }
+}
+
+async function handleUpkeepLow(id, mon, left) {
+  const when = fmtDuration(left);
+  console.log(`[Upkeep] ${mon.name}: ${when} left`);
+  pushAlert({ type: 'alarm', icon: '🏠', title: `Upkeep low: ${mon.name}`, detail: `${when} left` });
+  if (!C.alerts.upkeep) return;
+  const ping = mon.roleId ? `<@&${mon.roleId}> ` : getPing('UPKEEP');
+  sendTo('upkeep', {
+    content: ping || null,
+    embeds: [mkEmbed('🏠 Upkeep Low', `${ping}**${mon.name}** runs out of upkeep in **${when}**!`, 0xF5A623,
+      [{ name: 'Threshold', value: `${C.alerts.upkeepHours}h`, inline: true }])],
+  });
+  if (C.alerts.voiceUpkeep) speakTTS(`Warning! ${mon.name} upkeep runs out in ${when.replace('h', ' hours').replace('m', ' minutes')}!`);
+  if (C.alerts.upkeepInChat) { try { await teamSay(`🏠 UPKEEP: ${mon.name} ${when} left!`); } catch {} }
+}
+
+function startMonitorPolling() {
+  if (!knownMonitors.size) return;
+  startJob('Monitor', 120000, async () => {
+    if (!rustConnected) return;
+    await refreshMonitors();
+    await checkUpkeep();
+    pushState();
+  }, { rust: true, immediate: true });
+}
+
+function buildMonitorData() {
+  const out = [];
+  for (const [id, mon] of knownMonitors) {
+    const st = monitorStates[id] || {};
+    const items = [...(st.items || [])].sort((a, b) => b.quantity - a.quantity);
+    out.push({
+      id, name: mon.name, icon: mon.icon || '📦',
+      upkeepMs:  upkeepMsLeft(st),
+      slots:     items.length,
+      capacity:  st.capacity || 0,
+      items:     items.slice(0, 8).map(i => ({ name: itemName(i.itemId) + (i.bp ? ' BP' : ''), quantity: i.quantity })),
+      updatedAt: st.updatedAt || null,
+      ...entityHealthInfo(id),
+    });
+  }
+  return out;
 }
 
 // ─── TEAM CHANGED ────────────────────────────────────────────────────────────
 async function handleTeamChanged() {
-  const t = await refreshTeam();
+  const t = await refreshTeam(0);
   if (!t?.members) return;
 
   // Update spy tracker with latest team data
@@ -1324,7 +2537,7 @@ async function handleTeamChanged() {
           .setDescription(`**${m.name}** killed at Grid **${grid}**`).setTimestamp()],
       });
       pushAlert({ type: 'death', icon: '💀', title: `${m.name} died`, detail: `Grid ${grid}` });
-      if (C.alerts.deathInChat) { try { rustplus.sendTeamMessage(`💀 ${m.name} died at ${grid}!`); } catch {} }
+      if (C.alerts.deathInChat) teamSay(`💀 ${m.name} died at ${grid}!`).catch(() => {});
       if (C.alerts.voiceDeaths) speakTTS(`${m.name} died at grid ${grid}!`);
     }
     prevTeamMap[key] = { isAlive: m.isAlive, isOnline: m.isOnline, name: m.name };
@@ -1339,10 +2552,105 @@ async function handleRaid(detail) {
   const ping = getPing('RAID');
   sendTo('raids', {
     content: ping || null,
-    embeds: [mkEmbed('💥 RAID ALERT', `${ping}Explosions detected!`, 0xCE422B, [{ name: 'Detail', value: detail || 'Near base', inline: true }])],
+    embeds: [mkEmbed('💥 RAID ALERT', `${ping}Raid activity detected!`, 0xCE422B, [{ name: 'Detail', value: detail || 'Near base', inline: true }])],
   });
   pushAlert({ type: 'raid', icon: '💥', title: 'RAID ALERT', detail: detail || 'Explosions near base!' });
-  if (C.alerts.voiceRaids) speakTTS('RAID ALERT! Explosions detected near your base!');
+  // Spoken from the same detail as the embed — explosion, alarm burst or storage loss
+  if (C.alerts.voiceRaids) speakTTS(`RAID ALERT! ${detail ? detail.replace(' — ', ': ') : 'Raid activity near your base'}!`);
+}
+
+// ─── RAID DETECTION ──────────────────────────────────────────────────────────
+// Admins register bases (a grid like "G12" or "x,y" coordinates) and link alarms or
+// storage monitors to them as raid indicators. Any of these count as a raid on a base:
+//   • a new Explosion map marker inside the base radius
+//   • its indicator alarms firing C.raid.alarmBurst times within C.raid.alarmWindow
+//   • an indicator storage monitor losing C.raid.storageDrop of its contents at once
+// Each base then goes quiet for C.raid.cooldown so one raid is one alert.
+const BASES_FILE = './bases.json';
+let bases = []; // { name, grid?, x?, y?, radius?, entities: [entityId] }
+const raidCooldowns   = new Map(); // base name → last alert ts
+const raidAlarmHits   = new Map(); // base name → [ts]
+const seenExplosions  = new Set();
+let   explosionsSeeded = false;
+
+const basesStore = createStore({ file: BASES_FILE, name: 'Raid', initial: [], serialize: () => bases });
+function loadBases() {
+  bases = basesStore.load();
+  if (bases.length) console.log(`[Raid] Loaded ${bases.length} bases`);
+}
+const saveBases = () => basesStore.save();
+loadBases();
+
+// "G12" → grid cell, "1200,850" / "1200 850" → world coordinates
+function parseBaseLocation(str) {
+  const s = String(str || '').trim().toUpperCase();
+  let m = s.match(/^([A-Z])(\d{1,2})$/);
+  if (m) return { grid: m[1] + m[2] };
+  m = s.match(/^(\d+(?:\.\d+)?)\s*[, ]\s*(\d+(?:\.\d+)?)$/);
+  if (m) return { x: Number(m[1]), y: Number(m[2]) };
+  return null;
+}
+
+// Centre of the base — grid bases use the middle of the getGrid() cell
+function basePosition(b) {
+  if (!b.grid) return { x: b.x, y: b.y };
+  const cell = gridCellSize();
+  return { x: (b.grid.charCodeAt(0) - 65 + 0.5) * cell, y: (parseInt(b.grid.slice(1)) - 1 + 0.5) * cell };
+}
+function baseRadius(b) { return b.radius || gridCellSize(); }
+function baseGrid(b)   { return b.grid || getGrid(b.x, b.y); }
+
+function findBaseNear(x, y) {
+  return bases.find(b => {
+    const p = basePosition(b);
+    return Math.hypot(p.x - x, p.y - y) <= baseRadius(b);
+  });
+}
+
+function baseForEntity(id) {
+  return bases.find(b => (b.entities || []).includes(String(id)));
+}
+
+function triggerRaid(base, reason) {
+  const last = raidCooldowns.get(base.name) || 0;
+  if (Date.now() - last < C.raid.cooldown) return;
+  raidCooldowns.set(base.name, Date.now());
+  console.log(`[Raid] ${base.name}: ${reason}`);
+  handleRaid(`${base.name} (${baseGrid(base)}) — ${reason}`).catch(e => console.error('[Raid]', e.message));
+}
+
+function checkRaidMarkers(markers) {
+  const current = new Set();
+  markers.forEach(mk => {
+    if (mk.type !== MARKER.Explosion) return;
+    current.add(mk.id);
+    if (!explosionsSeeded || seenExplosions.has(mk.id)) return;
+    const base = findBaseNear(mk.x, mk.y);
+    if (base) triggerRaid(base, `explosion at ${getGrid(mk.x, mk.y)}`);
+  });
+  seenExplosions.clear();
+  current.forEach(id => seenExplosions.add(id));
+  explosionsSeeded = true;
+}
+
+function noteRaidAlarm(id) {
+  const base = baseForEntity(id);
+  if (!base) return;
+  const now  = Date.now();
+  const hits = (raidAlarmHits.get(base.name) || []).filter(t => now - t < C.raid.alarmWindow);
+  hits.push(now);
+  raidAlarmHits.set(base.name, hits);
+  if (hits.length < C.raid.alarmBurst) return;
+  raidAlarmHits.set(base.name, []);
+  triggerRaid(base, `${knownAlarms.get(id)?.name || 'alarm'} fired ${hits.length}× in ${Math.round(C.raid.alarmWindow / 1000)}s`);
+}
+
+function checkStorageLoss(id, before, after) {
+  const base = baseForEntity(id);
+  if (!base || !before || after >= before) return;
+  const lost = (before - after) / before;
+  if (lost < C.raid.storageDrop) return;
+  triggerRaid(base, `${knownMonitors.get(id)?.name || 'storage'} lost ${Math.round(lost * 100)}% of its contents`);
 }
 
 // ─── IN-GAME COMMANDS ────────────────────────────────────────────────────────
@@ -1352,43 +2660,120 @@ async function handleCmd(raw, sender) {
     switch (cmd.toLowerCase()) {
       case 'pop': {
         const i = await refreshServer();
-        await rustplus.sendTeamMessage(`📊 ${i.players}/${i.maxPlayers} | Queue:${i.queuedPlayers||0} | 30m:+${popLog30m.joined}-${popLog30m.left}`);
+        await teamSay(`📊 ${i.players}/${i.maxPlayers} | Queue:${i.queuedPlayers||0} | 30m:+${popLog30m.joined}-${popLog30m.left}`);
         break;
       }
       case 'time': {
         const i = await refreshServer();
         const t = i.time || '?'; const [h] = t.split(':').map(Number); const day = h >= 6 && h < 20;
-        await rustplus.sendTeamMessage(`${day?'☀️':'🌙'} ${t} | ${day?'Night in':'Day in'} ~${Math.round((day?20-h:24-h+6)*60)}min`);
+        await teamSay(`${day?'☀️':'🌙'} ${t} | ${day?'Night in':'Day in'} ~${Math.round((day?20-h:24-h+6)*60)}min`);
         break;
       }
       case 'wipe': {
-        if (!C.wipeDate) { await rustplus.sendTeamMessage('📅 Wipe date not set'); break; }
+        if (!C.wipeDate) { await teamSay('📅 Wipe date not set'); break; }
         const d = C.wipeDate - Date.now();
-        await rustplus.sendTeamMessage(`📅 Wipe in ${Math.floor(d/86400000)}d ${Math.floor((d%86400000)/3600000)}h ${Math.floor((d%3600000)/60000)}m`);
+        await teamSay(`📅 Wipe in ${Math.floor(d/86400000)}d ${Math.floor((d%86400000)/3600000)}h ${Math.floor((d%3600000)/60000)}m`);
         break;
       }
       case 'team': {
         const t = await refreshTeam();
         if (!t?.members) break;
-        await rustplus.sendTeamMessage('👥\n' + t.members.map(m =>
+        await teamSay('👥\n' + t.members.map(m =>
           `${m.isOnline?'●':'○'} ${m.name}${m.isOnline?` ${getGrid(m.x,m.y)} ${Math.round(m.health||0)}HP`:' offline'}`
         ).join('\n'));
         break;
       }
       case 'sw': case 'switch': {
-        if (!args[0]) { await rustplus.sendTeamMessage('Usage: !sw [name]'); break; }
+        if (!args[0]) { await teamSay('Usage: !sw [name] | !sw [group] on|off'); break; }
+        const last = args[args.length - 1].toLowerCase();
+        if (args.length > 1 && (last === 'on' || last === 'off') && switchGroups[sceneKey(args.slice(0, -1).join(' '))]) {
+          const r = await runGroup(args.slice(0, -1).join(' '), last === 'on', gameActor(sender));
+          await teamSay('⚡ ' + formatSceneResults(r, ' | '));
+          break;
+        }
+        if (switchScenes[sceneKey(args.join(' '))]) {
+          const r = await runScene(args.join(' '), gameActor(sender));
+          await teamSay('🎬 ' + formatSceneResults(r, ' | '));
+          break;
+        }
         const q = args.join(' ').toLowerCase();
         let found = null;
         for (const [id, sw] of knownSwitches) if (sw.name.toLowerCase().includes(q)) { found = { id, sw }; break; }
-        if (!found) { await rustplus.sendTeamMessage(`⚡ Not found: ${q}`); break; }
+        if (!found) { await teamSay(`⚡ Not found: ${q}`); break; }
         const nv = !(entityStates[found.id] ?? false);
-        await setEntity(found.id, nv);
-        await rustplus.sendTeamMessage(`⚡ ${found.sw.name}: ${nv?'ON':'OFF'}`);
+        const r  = await applySwitch(found.id, nv, gameActor(sender));
+        await teamSay(r.ok ? `⚡ ${found.sw.name}: ${nv?'ON':'OFF'}` : `⚡ ${found.sw.name}: ${r.msg}`);
         pushState();
         break;
       }
+      case 'scene': {
+        if (!args[0]) {
+          const names = Object.keys(switchScenes);
+          await teamSay(names.length ? `🎬 Scenes: ${names.join(', ')}` : '🎬 No scenes configured');
+          break;
+        }
+        const r = await runScene(args.join(' '), gameActor(sender));
+        await teamSay('🎬 ' + formatSceneResults(r, ' | '));
+        break;
+      }
+      case 'events': {
+        await pollMarkers();
+        const evs = buildEventsData();
+        if (!evs.length) { await teamSay('📡 No active events'); break; }
+        await teamSay('📡\n' + evs.map(e =>
+          `${e.icon} ${e.name} ${e.grid} (${Math.round((Date.now() - e.since) / 60000)}m)`
+        ).join('\n'));
+        break;
+      }
+      case 'upkeep': {
+        if (!knownMonitors.size) { await teamSay('🏠 No storage monitors configured'); break; }
+        await refreshMonitors();
+        await teamSay('🏠\n' + buildMonitorData().map(m =>
+          `${m.name}: ${m.upkeepMs === null ? 'no upkeep info' : m.upkeepMs ? fmtDuration(m.upkeepMs) + ' left' : 'DECAYING'}`
+        ).join('\n'));
+        break;
+      }
+      case 'shop': {
+        if (!args[0]) { await teamSay('Usage: !shop [item]'); break; }
+        const { items, results } = await searchVending(args.join(' '));
+        if (!items.length) { await teamSay(`🛒 Unknown item: ${args.join(' ')}`); break; }
+        if (!results.length) { await teamSay(`🛒 Nobody is selling ${items[0]}`); break; }
+        await teamSay('🛒\n' + results.slice(0, 5).map(formatShopLine).join('\n'));
+        break;
+      }
+      case 'price': {
+        if (!args[0]) { await teamSay('Usage: !price [item]'); break; }
+        const id = findItemIds(args.join(' '))[0];
+        const tr = id !== undefined ? priceTrend(id) : null;
+        if (!tr) { await teamSay(`📈 No price history for ${args.join(' ')}`); break; }
+        await teamSay(`📈 ${tr.item} (${tr.currency}, cheapest): ${tr.points.map(p => p.min).join(' → ')}`);
+        break;
+      }
+      case 'deal': {
+        if (args[0] === 'del' && args[1]) {
+          const removed = removeDealWatch(args[1]);
+          if (removed) audit(gameActor(sender), 'dealRemove', args[1]);
+          await teamSay(removed ? `💰 Removed deal watch ${args[1]}` : `💰 No deal watch ${args[1]}`);
+          break;
+        }
+        const d = parseDealArgs(args);
+        if (!d) { await teamSay('Usage: !deal [item] [max price] [currency]'); break; }
+        const w = addDealWatch(d.itemId, d.maxPrice, d.currencyId, sender);
+        audit(gameActor(sender), 'dealAdd', w.id, { after: `${itemName(w.itemId)} < ${w.maxPrice} ${itemName(w.currencyId)}` });
+        const now = currentDeals(w);
+        await teamSay(`💰 Watching ${itemName(w.itemId)} under ${w.maxPrice} ${itemName(w.currencyId)} [${w.id}]` +
+          (now.length ? '\n' + now.slice(0, 3).map(listingText).join('\n') : ''));
+        break;
+      }
+      case 'deals': {
+        if (!dealWatches.length) { await teamSay('💰 No deal watches'); break; }
+        await teamSay('💰\n' + dealWatches.map(w =>
+          `[${w.id}] ${itemName(w.itemId)} < ${w.maxPrice} ${itemName(w.currencyId)}`
+        ).join('\n'));
+        break;
+      }
       case 'ping':
-        await rustplus.sendTeamMessage(`🤖 RustLink online | ${discord.ws.ping}ms`);
+        await teamSay(`🤖 RustLink online | ${discord.ws.ping}ms`);
         break;
     }
   } catch (e) { console.error('[Cmd]', cmd, e.message); }
@@ -1396,51 +2781,861 @@ async function handleCmd(raw, sender) {
 
 // ─── ENTITY ───────────────────────────────────────────────────────────────────
 async function setEntity(id, val) {
-  try { await rustplus.setEntityValue(id, val); entityStates[id] = val; return true; }
-  catch (e) { console.error('[setEntity]', e.message); return false; }
+  try {
+    await rustRequest('setEntityValue', Number(id), !!val);
+    entityStates[id] = !!val;
+    markEntityHealth(String(id), null);
+    return true;
+  } catch (e) {
+    console.error('[setEntity]', id, e.message);
+    markEntityHealth(String(id), e.message);
+    return false;
+  }
 }
 
-// ─── DISCORD PANEL ───────────────────────────────────────────────────────────
-async function updatePanel() {
-  if (!C.discord.channels.switches || !knownSwitches.size) return;
+// ─── ENTITY HEALTH ───────────────────────────────────────────────────────────
+// id → { ok, error, since }. An entity that stops answering getEntityInfo has usually
+// been destroyed (raided), unpaired or had its wire cut, so the first failure alerts admins.
+const entityHealth = {};
+
+function entityHealthInfo(id) {
+  const h = entityHealth[id];
+  return { healthy: h ? h.ok : null, error: h?.ok === false ? h.error : null };
+}
+
+function markEntityHealth(id, error) {
+  const prev = entityHealth[id];
+  if (!error) {
+    if (prev && !prev.ok) console.log(`[Entities] ${id} is responding again`);
+    entityHealth[id] = { ok: true, error: null, since: prev?.ok ? prev.since : Date.now() };
+    return;
+  }
+  // A timeout says more about the connection than about the entity
+  if (/timed out|Not connected/.test(error)) return;
+  entityHealth[id] = { ok: false, error, since: prev?.ok === false ? prev.since : Date.now() };
+  if (prev?.ok === false) return;
+  const kind = entityKind(id);
+  if (kind) handleEntityLost(id, kind, ENTITY_KINDS[kind].get(id), error).catch(e => console.error('[Entities]', e.message));
+}
+
+// Pings like the alarm itself would (its own role, else the RAID role rule)
+async function handleEntityLost(id, kind, ent, error) {
+  const reason = error === 'not_found' ? 'no longer exists — destroyed or unpaired' : `is not responding (${error})`;
+  console.warn(`[Entities] ${kind} ${ent.name} (${id}) ${reason}`);
+  pushAlert({ type: 'raid', icon: '💀', title: `${ent.name} lost`, detail: `${kind} ${id} ${reason}` });
+  const base = baseForEntity(id);
+  const ping = ent.roleId ? `<@&${ent.roleId}> ` : getPing('RAID');
+  const emb = mkEmbed('💀 Paired Entity Lost',
+    `${ping}**${ent.icon || ''} ${ent.name}** (${kind} \`${id}\`) ${reason}.${base ? `\nBase: **${base.name}**` : ''}\nThis often means the base is being raided.`, 0xCE422B);
+  await sendTo('log', { content: ping || null, embeds: [emb] });
+}
+
+// One getEntityInfo round trip: stores the state it returns and records whether it answered
+async function syncEntity(kind, id) {
   try {
-    const ch  = await discord.channels.fetch(C.discord.channels.switches);
-    const emb = new EmbedBuilder().setColor(0xCE422B).setTitle('⚡ Switch Control Panel')
-      .setDescription('Click to toggle in-game').setTimestamp()
-      .setFooter({ text: `${Object.values(entityStates).filter(Boolean).length} switches ON` });
-    for (const [id, sw] of knownSwitches) {
-      if (!sw.inPanel) continue;
-      emb.addFields({ name: `${sw.icon} ${sw.name}`, value: entityStates[id] ? '🟢 ON' : '⚫ OFF', inline: true });
-    }
-    const rows = []; let row = new ActionRowBuilder(); let n = 0;
-    for (const [id, sw] of knownSwitches) {
-      if (!sw.inPanel) continue;
-      if (n > 0 && n % 5 === 0) { rows.push(row); row = new ActionRowBuilder(); }
-      const on = entityStates[id] ?? false;
-      row.addComponents(new ButtonBuilder().setCustomId(`sw_toggle_${id}`).setLabel(`${on?'⚡':'○'} ${sw.name}`).setStyle(on ? ButtonStyle.Success : ButtonStyle.Secondary));
-      n++;
-      if (rows.length >= 4) break;
-    }
-    if (!n || n % 5 !== 0) rows.push(row);
-    rows.push(new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId('sw_refresh').setLabel('🔄 Refresh').setStyle(ButtonStyle.Primary),
-      new ButtonBuilder().setCustomId('sw_all_on').setLabel('⚡ All ON').setStyle(ButtonStyle.Danger),
-      new ButtonBuilder().setCustomId('sw_all_off').setLabel('⬛ All OFF').setStyle(ButtonStyle.Secondary),
-    ));
-    const payload = { embeds: [emb], components: rows };
-    if (panelMsgId) {
-      try { await (await ch.messages.fetch(panelMsgId)).edit(payload); return; }
-      catch { panelMsgId = null; }
-    }
-    panelMsgId = (await ch.send(payload)).id;
-  } catch (e) { console.error('[Panel]', e.message); }
+    const info = (await rustRequest('getEntityInfo', Number(id)))?.response?.entityInfo;
+    if (kind === 'monitor') applyMonitorPayload(id, info?.payload);
+    else entityStates[id] = !!info?.payload?.value;
+    markEntityHealth(id, null);
+    return true;
+  } catch (e) {
+    markEntityHealth(id, e.message);
+    return false;
+  }
+}
+
+// Pulls the real state of every registered entity. getEntityInfo also subscribes the
+// entity to entityChanged broadcasts, so this runs on every (re)connect.
+async function syncEntities() {
+  let ok = 0, bad = 0;
+  for (const [kind, map] of Object.entries(ENTITY_KINDS)) {
+    for (const id of [...map.keys()]) {
+      if (await syncEntity(kind, id)) ok++; else bad++;
+    }
+  }
+  console.log(`[Entities] Synced ${ok} entities${bad ? `, ${bad} unhealthy` : ''}`);
+}
+
+// Switches and alarms send nothing when destroyed, so they are asked every 2 minutes
+// (monitors already are, by the Monitor job)
+function startEntityHealthChecks() {
+  startJob('EntityHealth', 120000, async () => {
+    if (!rustConnected) return;
+    let changed = false;
+    for (const kind of ['switch', 'alarm']) {
+      for (const id of [...ENTITY_KINDS[kind].keys()]) {
+        if (!ENTITY_KINDS[kind].has(id)) continue;   // removed while we were waiting
+        const was = entityHealth[id]?.ok;
+        await syncEntity(kind, id);
+        if (entityHealth[id]?.ok !== was) changed = true;
+      }
+    }
+    if (changed) { pushState(); try { await updatePanel(); } catch {} }
+  }, { rust: true });
+}
+
+// ─── ENTITY REGISTRY ─────────────────────────────────────────────────────────
+// Shared by the dashboard WS handlers and /entity. New IDs are checked with
+// getEntityInfo so a typo or a pairing for the wrong kind of device is refused.
+const ENTITY_TYPE     = { switch: 1, alarm: 2, monitor: 3 }; // AppEntityType
+const ENTITY_DEFAULTS = {
+  switch:  () => ({ icon: '⚡', inPanel: true }),
+  alarm:   () => ({ icon: '🔔', voice: true, teamChat: true, roleId: null, enabled: true }),
+  monitor: () => ({ icon: '📦', upkeep: true, roleId: null }),
+};
+const ENTITY_FIELDS = {
+  name:     v => String(v || '').trim().slice(0, 40) || undefined,
+  icon:     v => String(v || '').trim().slice(0, 8)  || undefined,
+  roleId:   v => (v ? String(v).trim() : null),
+  inPanel:  v => !!v,
+  enabled:  v => !!v,
+  voice:    v => !!v,
+  teamChat: v => !!v,
+  upkeep:   v => !!v,
+};
+
+// Names and icons end up in dashboard HTML and Discord embeds — markup characters are refused
+const ENTITY_TEXT_FIELDS = ['name', 'icon'];
+const UNSAFE_TEXT = /[<>"']/;
+
+function pickEntityFields(fields) {
+  const out = {};
+  for (const [k, clean] of Object.entries(ENTITY_FIELDS)) {
+    if (fields[k] === undefined) continue;
+    if (ENTITY_TEXT_FIELDS.includes(k) && UNSAFE_TEXT.test(String(fields[k]))) return { error: `${k} may not contain < > " or '` };
+    const v = clean(fields[k]);
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+async function addEntity(kind, rawId, fields = {}) {
+  const id = String(rawId || '').trim();
+  if (!ENTITY_KINDS[kind])  return { ok: false, msg: `Unknown entity kind: ${kind}` };
+  if (!/^\d+$/.test(id))    return { ok: false, msg: 'Entity ID must be a number' };
+  const clean = pickEntityFields(fields);
+  if (clean.error)          return { ok: false, msg: clean.error };
+  if (!clean.name)          return { ok: false, msg: 'Name required' };
+  if (entityKind(id))       return { ok: false, msg: `Entity ${id} is already registered` };
+  let info;
+  try { info = (await rustRequest('getEntityInfo', Number(id)))?.response?.entityInfo; }
+  catch (e) { return { ok: false, msg: `Server rejected ${id}: ${e.message}` }; }
+  if (info?.type !== ENTITY_TYPE[kind]) {
+    const actual = Object.keys(ENTITY_TYPE).find(k => ENTITY_TYPE[k] === info?.type) || 'unknown';
+    return { ok: false, msg: `Entity ${id} is a ${actual}, not a ${kind}` };
+  }
+  ENTITY_KINDS[kind].set(id, { ...ENTITY_DEFAULTS[kind](), ...clean });
+  removedEntities.delete(id);
+  if (kind === 'switch')  entityStates[id] = !!info.payload?.value;
+  if (kind === 'monitor') applyMonitorPayload(id, info.payload);
+  saveEntities();
+  console.log(`[Entities] Added ${kind} ${clean.name} (${id})`);
+  return { ok: true, msg: `Added ${kind} ${clean.name}` };
+}
+
+// Bases, groups, scenes, rules and schedules point at entities by ID or by name. Removing
+// an entity they use is refused; renaming one rewrites the references that used its name.
+
+// A step that picks out this one switch itself — a group step is the group's reference
+function stepTargets(step, id) {
+  if (switchGroups[sceneKey(step.target)]) return false;
+  const ids = resolveSwitchTarget(step.target);
+  return ids.length === 1 && ids[0] === id;
+}
+
+// "scene x" actions are covered by the scene's own steps
+function inlineSteps(action) {
+  return /^scene\s/i.test(String(action || '').trim()) ? [] : parseSceneSteps(action).steps || [];
+}
+
+function entityReferences(id, kind) {
+  const refs = [];
+  bases.filter(b => (b.entities || []).includes(id)).forEach(b => refs.push(`base ${b.name}`));
+  if (kind === 'switch') {
+    Object.entries(switchGroups).filter(([, ids]) => ids.includes(id)).forEach(([g]) => refs.push(`group ${g}`));
+    Object.entries(switchScenes).filter(([, steps]) => steps.some(st => stepTargets(st, id))).forEach(([sc]) => refs.push(`scene ${sc}`));
+    schedules.filter(sc => inlineSteps(sc.action).some(st => stepTargets(st, id))).forEach(sc => refs.push(`schedule ${sc.name}`));
+  }
+  rules.filter(r => (r.trigger.type === kind && matchesEntity(r.trigger.entity, ENTITY_KINDS[kind], id))
+    || (kind === 'switch' && inlineSteps(r.action).some(st => stepTargets(st, id))))
+    .forEach(r => refs.push(`rule ${r.name}`));
+  return refs;
+}
+
+// Must run before the entity takes its new name — steps are matched against the old one
+function renameEntityReferences(id, kind, name) {
+  const byName = st => stepTargets(st, id) && st.target !== id;
+  const rename = steps => steps.map(st => byName(st) ? { ...st, target: name } : st);
+  const text   = steps => steps.map(st => `${st.target} ${st.value ? 'on' : 'off'}`).join(', ');
+  let scenesChanged = false, rulesChanged = false, schedulesChanged = false;
+  for (const r of rules) {
+    if (r.trigger.type === kind && r.trigger.entity !== id && matchesEntity(r.trigger.entity, ENTITY_KINDS[kind], id)) {
+      r.trigger.entity = name;
+      rulesChanged = true;
+    }
+  }
+  if (kind === 'switch') {
+    for (const [key, steps] of Object.entries(switchScenes)) {
+      if (steps.some(byName)) { switchScenes[key] = rename(steps); scenesChanged = true; }
+    }
+    for (const r of rules) {
+      const steps = inlineSteps(r.action);
+      if (steps.some(byName)) { r.action = text(rename(steps)); rulesChanged = true; }
+    }
+    for (const sc of schedules) {
+      const steps = inlineSteps(sc.action);
+      if (steps.some(byName)) { sc.action = text(rename(steps)); schedulesChanged = true; }
+    }
+  }
+  if (scenesChanged) saveScenes();
+  if (rulesChanged) saveRules();
+  if (schedulesChanged) saveSchedules();
+}
+
+function updateEntity(rawId, fields = {}) {
+  const id   = String(rawId || '').trim();
+  const kind = entityKind(id);
+  if (!kind) return { ok: false, msg: `No entity ${id}` };
+  const clean = pickEntityFields(fields);
+  if (clean.error) return { ok: false, msg: clean.error };
+  if (!Object.keys(clean).length) return { ok: false, msg: 'Nothing to update' };
+  if (clean.name && clean.name !== ENTITY_KINDS[kind].get(id).name) renameEntityReferences(id, kind, clean.name);
+  Object.assign(ENTITY_KINDS[kind].get(id), clean);
+  saveEntities();
+  return { ok: true, msg: `Updated ${ENTITY_KINDS[kind].get(id).name}` };
+}
+
+function removeEntity(rawId) {
+  const id   = String(rawId || '').trim();
+  const kind = entityKind(id);
+  if (!kind) return { ok: false, msg: `No entity ${id}` };
+  const { name } = ENTITY_KINDS[kind].get(id);
+  const refs = entityReferences(id, kind);
+  if (refs.length) return { ok: false, msg: `${name} is used by ${refs.join(', ')} — change or delete those first` };
+  ENTITY_KINDS[kind].delete(id);
+  delete entityStates[id];
+  delete monitorStates[id];
+  delete entityHealth[id];
+  removedEntities.add(id);
+  saveEntities();
+  console.log(`[Entities] Removed ${kind} ${name} (${id})`);
+  return { ok: true, msg: `Removed ${kind} ${name}` };
+}
+
+// Everything that shows entities (dashboard, Discord panel, monitor polling) after a change
+async function entitiesChanged() {
+  pushState();
+  startMonitorPolling();
+  try { await updatePanel(); } catch {}
+}
+
+// ─── SWITCH GROUPS & SCENES ──────────────────────────────────────────────────
+// groups: name → [switchId]; scenes: name → [{ target, value }] where target is a
+// group name, switch ID or switch name and value is true/false. Steps run in order.
+const SCENES_FILE = './scenes.json';
+let switchGroups = {};
+let switchScenes = {};
+let sceneRunning = null;
+
+const scenesStore = createStore({
+  file: SCENES_FILE, name: 'Scenes', initial: { groups: {}, scenes: {} },
+  serialize: () => ({ groups: switchGroups, scenes: switchScenes }),
+});
+function loadScenes() {
+  const data = scenesStore.load();
+  switchGroups = data.groups || {};
+  switchScenes = data.scenes || {};
+  if (Object.keys(switchGroups).length || Object.keys(switchScenes).length)
+    console.log(`[Scenes] Loaded ${Object.keys(switchGroups).length} groups, ${Object.keys(switchScenes).length} scenes`);
+}
+const saveScenes = () => scenesStore.save();
+loadScenes();
+
+const sceneKey = name => String(name || '').trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '').slice(0, 32);
+
+// Group name → its switches; otherwise an exact ID or a switch name match
+function resolveSwitchTarget(target) {
+  const q = String(target).trim().toLowerCase();
+  if (switchGroups[sceneKey(q)]) return switchGroups[sceneKey(q)].filter(id => knownSwitches.has(id));
+  if (knownSwitches.has(q)) return [q];
+  for (const [id, sw] of knownSwitches) if (sw.name.toLowerCase() === q) return [id];
+  for (const [id, sw] of knownSwitches) if (sw.name.toLowerCase().includes(q)) return [id];
+  return [];
+}
+
+// "turrets on, lights off, 12345 on" → [{ target, value }]
+function parseSceneSteps(text) {
+  const steps = [];
+  for (const part of String(text || '').split(/[,;\n]/)) {
+    const m = part.trim().match(/^(.+?)\s*[:=\s]\s*(on|off)$/i);
+    if (!m) { if (part.trim()) return { error: `Can't read step "${part.trim()}" — use "<group|switch> on|off"` }; continue; }
+    steps.push({ target: m[1].trim(), value: m[2].toLowerCase() === 'on' });
+  }
+  if (!steps.length) return { error: 'Scene needs at least one step' };
+  return { steps };
+}
+
+function saveGroup(name, ids) {
+  const key = sceneKey(name);
+  if (!key) return { ok: false, msg: 'Group name required' };
+  const list = [...new Set((ids || []).map(String))];
+  const bad  = list.filter(id => !knownSwitches.has(id));
+  if (bad.length) return { ok: false, msg: `Unknown switch ID(s): ${bad.join(', ')}` };
+  if (!list.length) return { ok: false, msg: 'Group needs at least one switch' };
+  switchGroups[key] = list;
+  saveScenes();
+  return { ok: true, msg: `Group ${key} saved (${list.length} switches)` };
+}
+
+function saveScene(name, text) {
+  const key = sceneKey(name);
+  if (!key) return { ok: false, msg: 'Scene name required' };
+  const { steps, error } = parseSceneSteps(text);
+  if (error) return { ok: false, msg: error };
+  const unknown = steps.filter(s => !resolveSwitchTarget(s.target).length).map(s => s.target);
+  if (unknown.length) return { ok: false, msg: `No switch or group matches: ${unknown.join(', ')}` };
+  switchScenes[key] = steps;
+  saveScenes();
+  return { ok: true, msg: `Scene ${key} saved (${steps.length} steps)` };
+}
+
+function deleteScene(kind, name) {
+  const store = kind === 'group' ? switchGroups : switchScenes;
+  const key = sceneKey(name);
+  if (!store[key]) return { ok: false, msg: `No ${kind} ${key}` };
+  delete store[key];
+  saveScenes();
+  return { ok: true, msg: `Deleted ${kind} ${key}` };
+}
+
+// Sets each switch in turn so a failure is reported against the switch it hit
+async function applySwitchSteps(steps) {
+  const results = [];
+  for (const step of steps) {
+    for (const id of resolveSwitchTarget(step.target)) {
+      const ok = await setEntity(id, step.value);
+      results.push({ id, name: knownSwitches.get(id)?.name || id, value: step.value, ok });
+      if (ok) wsBroadcast({ type: 'switchToggled', entityId: id, value: step.value });
+    }
+  }
+  return results;
+}
+
+// "scene lockdown" → that scene's steps; anything else is parsed as scene steps.
+// Used by automation rules and schedules.
+function actionSteps(action) {
+  const m = String(action || '').trim().match(/^scene\s+(.+)$/i);
+  if (m) return switchScenes[sceneKey(m[1])] || [];
+  return parseSceneSteps(action).steps || [];
+}
+
+function validateAction(action) {
+  const scene = String(action || '').trim().match(/^scene\s+(.+)$/i);
+  if (scene) return switchScenes[sceneKey(scene[1])] ? null : `No scene ${sceneKey(scene[1])}`;
+  const { steps, error } = parseSceneSteps(action);
+  if (error) return error;
+  const unknown = steps.filter(st => !resolveSwitchTarget(st.target).length).map(st => st.target);
+  return unknown.length ? `No switch or group matches: ${unknown.join(', ')}` : null;
+}
+
+// Returns { ok, msg, results: [{ id, name, value, ok }] }
+async function runSteps(label, steps) {
+  if (!rustConnected) return { ok: false, msg: 'Bot not connected to Rust+', results: [] };
+  if (sceneRunning) return { ok: false, msg: `${sceneRunning} is still running`, results: [] };
+  sceneRunning = label;
+  let results;
+  try { results = await applySwitchSteps(steps); }
+  finally { sceneRunning = null; }
+  const failed = results.filter(r => !r.ok).length;
+  console.log(`[Scenes] ${label}: ${results.length - failed}/${results.length} switches set`);
+  pushState();
+  try { await updatePanel(); } catch {}
+  return { ok: !failed && results.length > 0, msg: `${label}: ${results.length - failed}/${results.length} switches set`, results };
+}
+
+// by: audit actor when a person (not a rule or schedule) ran it
+async function runScene(name, by) {
+  const key = sceneKey(name);
+  const r = switchScenes[key] ? await runSteps(`Scene ${key}`, switchScenes[key]) : { ok: false, msg: `No scene ${key}`, results: [] };
+  if (by) audit(by, 'sceneRun', key, stepsAudit(r));
+  return r;
+}
+
+async function runGroup(name, value, by) {
+  const key = sceneKey(name);
+  const r = switchGroups[key] ? await runSteps(`Group ${key} ${value ? 'ON' : 'OFF'}`, [{ target: key, value }]) : { ok: false, msg: `No group ${key}`, results: [] };
+  if (by) audit(by, 'groupSet', key, stepsAudit(r));
+  return r;
+}
+
+const stepsAudit = r => ({ ok: r.ok, after: r.results.map(x => `${x.name} ${x.value ? 'ON' : 'OFF'}${x.ok ? '' : ' (failed)'}`), detail: r.msg });
+
+function formatSceneResults(r, sep = '\n') {
+  return [r.msg, ...r.results.map(x => `${x.ok ? '✅' : '❌'} ${x.name} ${x.value ? 'ON' : 'OFF'}`)].join(sep);
+}
+
+function buildScenesData() {
+  return {
+    groups: Object.entries(switchGroups).map(([name, ids]) => ({ name, ids })),
+    scenes: Object.entries(switchScenes).map(([name, steps]) => ({
+      name, steps: steps.map(s => `${s.target} ${s.value ? 'on' : 'off'}`).join(', '),
+    })),
+  };
+}
+
+// ─── AUTOMATION RULES ────────────────────────────────────────────────────────
+// rule: { id, name, enabled, trigger, action, debounce, cooldown, revert } — times in seconds.
+// trigger.type: alarm { entity } | switch { entity, value } | event { kind, near?, distance? }
+//               | team { state: 'offline'|'online' }
+// action:       "turrets on, lights off" (same syntax as scenes) or "scene lockdown"
+// Alarm/switch triggers are momentary; event/team triggers hold while the condition is true
+// and re-arm once it clears. debounce delays firing (a held condition must survive it),
+// cooldown spaces firings, revert puts the touched switches back after N seconds.
+const RULES_FILE    = './rules.json';
+const RULE_LOG_FILE = './rule_log.json';
+const RULE_TRIGGERS = ['alarm', 'switch', 'event', 'team'];
+let rules   = [];
+let ruleLog = []; // last 100 firings, newest first
+const ruleRuntime = new Map(); // rule id → { active, pending, lastFired, revertTimer, revertTo }
+
+const rulesStore   = createStore({ file: RULES_FILE, name: 'Rules', initial: [], serialize: () => rules });
+const ruleLogStore = createStore({ file: RULE_LOG_FILE, name: 'RuleLog', initial: [], backups: 0, serialize: () => ruleLog });
+function loadRules() {
+  rules   = rulesStore.load();
+  ruleLog = ruleLogStore.load();
+  if (rules.length) console.log(`[Rules] Loaded ${rules.length} rules`);
+}
+const saveRules = () => rulesStore.save();
+loadRules();
+
+function ruleState(id) {
+  if (!ruleRuntime.has(id)) ruleRuntime.set(id, { active: false, pending: null, lastFired: 0, revertTimer: null, revertTo: null });
+  return ruleRuntime.get(id);
+}
+
+function logRule(rule, text, results = []) {
+  const entry = { ts: Date.now(), ruleId: rule.id, rule: rule.name, text,
+    results: results.map(r => ({ name: r.name, value: r.value, ok: r.ok })) };
+  ruleLog.unshift(entry);
+  if (ruleLog.length > 100) ruleLog.length = 100;
+  console.log(`[Rules] ${rule.name}: ${text}${results.length ? ' — ' + results.map(r => `${r.name} ${r.value ? 'ON' : 'OFF'}${r.ok ? '' : ' ✗'}`).join(', ') : ''}`);
+  ruleLogStore.save();
+  wsBroadcast({ type: 'ruleFired', entry });
+}
+
+function matchesEntity(ref, map, id) {
+  const q = String(ref || '').trim().toLowerCase();
+  return q === id || map.get(id)?.name.toLowerCase() === q;
+}
+
+function validateRule(r) {
+  const name = String(r.name || '').trim().slice(0, 40);
+  if (!name) return { error: 'Rule name required' };
+  const t = r.trigger || {};
+  if (!RULE_TRIGGERS.includes(t.type)) return { error: `Trigger must be one of ${RULE_TRIGGERS.join(', ')}` };
+  const trigger = { type: t.type };
+  if (t.type === 'alarm' || t.type === 'switch') {
+    const map = t.type === 'alarm' ? knownAlarms : knownSwitches;
+    if (![...map.keys()].some(id => matchesEntity(t.entity, map, id))) return { error: `No ${t.type} named ${t.entity}` };
+    trigger.entity = String(t.entity).trim();
+    if (t.type === 'switch') trigger.value = t.value !== false && t.value !== 'off';
+  }
+  if (t.type === 'event') {
+    const kinds = Object.values(EVENT_KINDS).map(k => k.kind);
+    if (!kinds.includes(t.kind)) return { error: `Event must be one of ${kinds.join(', ')}` };
+    trigger.kind = t.kind;
+    if (t.near) {
+      if (!bases.some(b => b.name.toLowerCase() === String(t.near).trim().toLowerCase()) && !parseBaseLocation(t.near))
+        return { error: `"${t.near}" is not a base name, grid or x,y` };
+      trigger.near = String(t.near).trim();
+    }
+    if (t.distance) trigger.distance = Math.max(50, parseInt(t.distance) || 0);
+  }
+  if (t.type === 'team') trigger.state = t.state === 'online' ? 'online' : 'offline';
+  const action = String(r.action || '').trim();
+  const actionError = validateAction(action);
+  if (actionError) return { error: actionError };
+  const secs = v => Math.max(0, parseInt(v) || 0);
+  return { rule: { name, enabled: r.enabled !== false, trigger, action,
+    debounce: secs(r.debounce), cooldown: secs(r.cooldown), revert: secs(r.revert) } };
+}
+
+function saveRule(input) {
+  const { rule, error } = validateRule(input);
+  if (error) return { ok: false, msg: error };
+  const existing = input.id && rules.find(r => r.id === input.id);
+  // The edit form has no enabled field — an edit keeps the rule's toggle state
+  if (existing && input.enabled === undefined) rule.enabled = existing.enabled;
+  let saved = existing;
+  if (existing) { Object.assign(existing, rule); resetRule(existing.id); }
+  else rules.push(saved = { id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, ...rule });
+  saveRules();
+  return { ok: true, msg: `Rule ${rule.name} saved`, rule: saved };
+}
+
+function deleteRule(id) {
+  const idx = rules.findIndex(r => r.id === id);
+  if (idx < 0) return { ok: false, msg: 'No such rule' };
+  const [r] = rules.splice(idx, 1);
+  resetRule(id);
+  ruleRuntime.delete(id);
+  saveRules();
+  return { ok: true, msg: `Deleted rule ${r.name}` };
+}
+
+function setRuleEnabled(id, enabled) {
+  const r = rules.find(x => x.id === id);
+  if (!r) return { ok: false, msg: 'No such rule' };
+  r.enabled = !!enabled;
+  if (!r.enabled) resetRule(id);
+  saveRules();
+  return { ok: true, msg: `${r.name} ${r.enabled ? 'enabled' : 'disabled'}` };
+}
+
+// Drops pending firings; a running revert is left to finish so switches aren't stranded
+function resetRule(id) {
+  const st = ruleRuntime.get(id);
+  if (!st) return;
+  clearTimeout(st.pending);
+  st.pending = null;
+  st.active  = false;
+}
+
+// on=true: the trigger hit (momentary) or its condition holds; on=false: condition cleared
+function ruleSignal(rule, on, reason) {
+  if (!rule.enabled) return;
+  const st   = ruleState(rule.id);
+  const held = rule.trigger.type === 'event' || rule.trigger.type === 'team';
+  if (!on) {
+    st.active = false;
+    if (st.pending) { clearTimeout(st.pending); st.pending = null; }
+    return;
+  }
+  if (held && st.active) return;
+  st.active = true;
+  if (st.pending) return;
+  if (!rule.debounce) return void fireRule(rule, reason).catch(e => console.error('[Rules]', e.message));
+  st.pending = setTimeout(() => {
+    st.pending = null;
+    if (held && !st.active) return;
+    fireRule(rule, reason).catch(e => console.error('[Rules]', e.message));
+  }, rule.debounce * 1000);
+}
+
+async function fireRule(rule, reason) {
+  const st = ruleState(rule.id);
+  if (Date.now() - st.lastFired < rule.cooldown * 1000) return;
+  if (!rustConnected) return logRule(rule, `${reason} — skipped, not connected`);
+  st.lastFired = Date.now();
+  const steps = actionSteps(rule.action).flatMap(step => resolveSwitchTarget(step.target).map(id => ({ id, value: step.value })));
+  // Remember what the switches were before the first firing so a re-trigger only extends the revert
+  if (rule.revert && !st.revertTo) st.revertTo = Object.fromEntries(steps.map(s => [s.id, entityStates[s.id] ?? false]));
+  const results = [];
+  for (const { id, value } of steps) {
+    const ok = await setEntity(id, value);
+    results.push({ id, name: knownSwitches.get(id)?.name || id, value, ok });
+    if (ok) wsBroadcast({ type: 'switchToggled', entityId: id, value });
+  }
+  logRule(rule, reason, results);
+  if (rule.revert) {
+    clearTimeout(st.revertTimer);
+    st.revertTimer = setTimeout(() => revertRule(rule).catch(e => console.error('[Rules]', e.message)), rule.revert * 1000);
+  }
+  pushState();
+  try { await updatePanel(); } catch {}
+}
+
+async function revertRule(rule) {
+  const st = ruleState(rule.id);
+  const revertTo = st.revertTo || {};
+  st.revertTo = null; st.revertTimer = null;
+  const results = [];
+  for (const [id, value] of Object.entries(revertTo)) {
+    if (!knownSwitches.has(id)) continue;
+    const ok = await setEntity(id, value);
+    results.push({ id, name: knownSwitches.get(id).name, value, ok });
+    if (ok) wsBroadcast({ type: 'switchToggled', entityId: id, value });
+  }
+  logRule(rule, `reverted after ${fmtDuration(rule.revert * 1000)}`, results);
+  pushState();
+  try { await updatePanel(); } catch {}
+}
+
+// Hooked from entityChanged
+function rulesOnEntity(id, value) {
+  for (const r of rules) {
+    const t = r.trigger;
+    if (t.type === 'alarm' && value && matchesEntity(t.entity, knownAlarms, id))
+      ruleSignal(r, true, `alarm ${knownAlarms.get(id).name} fired`);
+    if (t.type === 'switch' && value === t.value && matchesEntity(t.entity, knownSwitches, id))
+      ruleSignal(r, true, `switch ${knownSwitches.get(id).name} turned ${value ? 'on' : 'off'}`);
+  }
+}
+
+// Hooked from teamChanged
+function rulesOnTeam(members) {
+  if (!members?.length) return;
+  const online = members.filter(m => m.isOnline).length;
+  for (const r of rules) {
+    if (r.trigger.type !== 'team') continue;
+    const hit = r.trigger.state === 'offline' ? online === 0 : online > 0;
+    ruleSignal(r, hit, hit ? (online ? `${online} teammate(s) online` : 'whole team offline') : '');
+  }
+}
+
+function ruleNear(trigger, x, y) {
+  const dist = trigger.distance || gridCellSize();
+  if (!trigger.near) {
+    if (!bases.length) return true;
+    return bases.some(b => { const p = basePosition(b); return Math.hypot(p.x - x, p.y - y) <= baseRadius(b) + dist; });
+  }
+  const loc = bases.find(b => b.name.toLowerCase() === trigger.near.toLowerCase()) || parseBaseLocation(trigger.near);
+  // Base gone from a hand-edited bases.json — never match rather than break the marker poll
+  if (!loc) return false;
+  const p = basePosition(loc);
+  return Math.hypot(p.x - x, p.y - y) <= dist;
+}
+
+// Hooked from the marker poll
+function rulesOnMarkers(markers) {
+  for (const r of rules) {
+    if (r.trigger.type !== 'event') continue;
+    const mk = markers.find(m => EVENT_KINDS[m.type]?.kind === r.trigger.kind && ruleNear(r.trigger, m.x, m.y));
+    ruleSignal(r, !!mk, mk ? `${EVENT_KINDS[mk.type].name} at ${getGrid(mk.x, mk.y)}` : '');
+  }
+}
+
+function buildRulesData() {
+  return rules.map(r => {
+    const st = ruleRuntime.get(r.id);
+    return { ...r, lastFired: st?.lastFired || null, reverting: !!st?.revertTimer };
+  });
+}
+
+// ─── SCHEDULER ───────────────────────────────────────────────────────────────
+// schedule: { id, name, enabled, type, cron?, at?, every?, action, pulse, lastRun }
+//   cron     — 5-field cron on the bot's local clock ("0 3 * * *" = 3am daily)
+//   game     — in-game time: "dawn", "dusk" or "HH:MM", from serverInfo.time
+//   interval — every N real minutes
+// action uses the scene syntax; pulse (seconds) flips the same switches back afterwards.
+const SCHEDULES_FILE = './schedules.json';
+const CRON_RANGES    = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+let schedules    = [];
+let prevGameTime = null; // last seen serverInfo.timeOfDay, to spot in-game times being crossed
+const missedOffline = new Set(); // schedule ids already reported missed in the current Rust+ outage
+
+const schedulesStore = createStore({ file: SCHEDULES_FILE, name: 'Schedule', initial: [], serialize: () => schedules });
+function loadSchedules() {
+  schedules = schedulesStore.load();
+  if (schedules.length) console.log(`[Schedule] Loaded ${schedules.length} schedules`);
+}
+const saveSchedules = () => schedulesStore.save();
+loadSchedules();
+
+// "*/15 2-4 * * 1,3" → [Set(minutes), Set(hours), Set(days), Set(months), Set(weekdays)] or null
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) return null;
+  const fields = parts.map((part, i) => {
+    const [lo, hi] = CRON_RANGES[i];
+    const set = new Set();
+    for (const item of part.split(',')) {
+      const m = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+      if (!m) return null;
+      let [a, b] = m[1] === '*' ? [lo, hi] : m[1].split('-').map(Number);
+      if (b === undefined) b = m[2] ? hi : a;
+      const step = Number(m[2] || 1);
+      if (a < lo || b > hi || a > b || !step) return null;
+      for (let v = a; v <= b; v += step) set.add(i === 4 ? v % 7 : v); // weekday 7 = Sunday
+    }
+    return set;
+  });
+  return fields.includes(null) ? null : fields;
+}
+
+function cronMatches(fields, d) {
+  const [min, hour, dom, mon, dow] = fields;
+  return min.has(d.getMinutes()) && hour.has(d.getHours()) && dom.has(d.getDate())
+    && mon.has(d.getMonth() + 1) && dow.has(d.getDay());
+}
+
+// "dawn" / "dusk" follow the server's sunrise/sunset; otherwise "HH:MM" → hours
+function gameTarget(at) {
+  const a = String(at || '').trim().toLowerCase();
+  if (a === 'dawn') return serverInfo.sunrise ?? 7.5;
+  if (a === 'dusk') return serverInfo.sunset  ?? 19.5;
+  const m = a.match(/^(\d{1,2}):(\d{2})$/);
+  return m && +m[1] < 24 && +m[2] < 60 ? +m[1] + +m[2] / 60 : null;
+}
+
+// Did the clock pass `target` going from prev to cur? Handles midnight wrap.
+function gameTimeCrossed(prev, cur, target) {
+  if (prev === null || cur === null || prev === cur) return false;
+  return prev < cur ? (prev < target && target <= cur) : (target > prev || target <= cur);
+}
+
+function validateSchedule(input) {
+  const name = String(input.name || '').trim().slice(0, 40);
+  if (!name) return { error: 'Schedule name required' };
+  const out = { name, enabled: input.enabled !== false, type: input.type };
+  if (input.type === 'cron') {
+    if (!parseCron(input.cron)) return { error: `Bad cron expression "${input.cron}" — use "min hour day month weekday"` };
+    out.cron = String(input.cron).trim();
+  } else if (input.type === 'game') {
+    if (gameTarget(input.at) === null) return { error: 'In-game time must be dawn, dusk or HH:MM' };
+    out.at = String(input.at).trim().toLowerCase();
+  } else if (input.type === 'interval') {
+    out.every = parseInt(input.every) || 0;
+    if (out.every < 1) return { error: 'Interval must be at least 1 minute' };
+  } else return { error: 'Type must be cron, game or interval' };
+  out.action = String(input.action || '').trim();
+  const actionError = validateAction(out.action);
+  if (actionError) return { error: actionError };
+  out.pulse = Math.max(0, parseInt(input.pulse) || 0);
+  return { schedule: out };
+}
+
+function saveSchedule(input) {
+  const { schedule, error } = validateSchedule(input);
+  if (error) return { ok: false, msg: error };
+  const existing = input.id && schedules.find(x => x.id === input.id);
+  if (existing && input.enabled === undefined) schedule.enabled = existing.enabled;
+  let saved = existing;
+  if (existing) Object.assign(existing, schedule);
+  else schedules.push(saved = { id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, ...schedule, lastRun: null });
+  saveSchedules();
+  return { ok: true, msg: `Schedule ${schedule.name} saved`, schedule: saved };
+}
+
+function deleteSchedule(id) {
+  const idx = schedules.findIndex(x => x.id === id);
+  if (idx < 0) return { ok: false, msg: 'No such schedule' };
+  const [sc] = schedules.splice(idx, 1);
+  saveSchedules();
+  return { ok: true, msg: `Deleted schedule ${sc.name}` };
+}
+
+function setScheduleEnabled(id, enabled) {
+  const sc = schedules.find(x => x.id === id);
+  if (!sc) return { ok: false, msg: 'No such schedule' };
+  sc.enabled = !!enabled;
+  saveSchedules();
+  return { ok: true, msg: `${sc.name} ${sc.enabled ? 'enabled' : 'disabled'}` };
+}
+
+function describeSchedule(sc) {
+  const when = sc.type === 'cron' ? `cron ${sc.cron}` : sc.type === 'game' ? `in-game ${sc.at}` : `every ${sc.every}m`;
+  return `${when} → ${sc.action}${sc.pulse ? ` (pulse ${sc.pulse}s)` : ''}`;
+}
+
+// A run missed while Rust+ is down is reported once per outage — an every-minute
+// schedule would otherwise post to the log channel every minute until it's back
+async function runSchedule(sc) {
+  sc.lastRun = Date.now();
+  saveSchedules();
+  if (!rustConnected) {
+    console.log(`[Schedule] ${sc.name}: skipped, not connected to Rust+`);
+    if (missedOffline.has(sc.id)) return;
+    missedOffline.add(sc.id);
+    const why = 'Bot was not connected to Rust+ — further runs are skipped until it reconnects';
+    pushAlert({ type: 'info', icon: '⏰', title: `Schedule ${sc.name} failed`, detail: why });
+    await sendTo('log', { embeds: [mkEmbed('⏰ Schedule Failed', `**${sc.name}** (${describeSchedule(sc)})\n${why}`, 0xCE422B)] });
+    return;
+  }
+  const steps = actionSteps(sc.action);
+  const results = await applySwitchSteps(steps);
+  const failed  = results.filter(r => !r.ok);
+  console.log(`[Schedule] ${sc.name}: ${results.length - failed.length}/${results.length} switches set`);
+  if (!results.length || failed.length) {
+    const why = !results.length ? 'No switches matched the action'
+      : `Failed: ${failed.map(r => r.name).join(', ')}`;
+    pushAlert({ type: 'info', icon: '⏰', title: `Schedule ${sc.name} failed`, detail: why });
+    await sendTo('log', { embeds: [mkEmbed('⏰ Schedule Failed', `**${sc.name}** (${describeSchedule(sc)})\n${why}`, 0xCE422B)] });
+  }
+  if (sc.pulse && results.some(r => r.ok)) {
+    setTimeout(() => {
+      applySwitchSteps(steps.map(st => ({ target: st.target, value: !st.value })))
+        .then(() => { pushState(); return updatePanel(); })
+        .catch(e => console.error('[Schedule]', e.message));
+    }, sc.pulse * 1000);
+  }
+  pushState();
+  try { await updatePanel(); } catch {}
+}
+
+async function tickSchedules() {
+  const now = new Date();
+  const gameTime = rustConnected && typeof serverInfo.timeOfDay === 'number' ? serverInfo.timeOfDay : null;
+  if (rustConnected) missedOffline.clear();
+  for (const sc of schedules) {
+    if (!sc.enabled) continue;
+    let due = false;
+    if (sc.type === 'cron') {
+      const fields = parseCron(sc.cron);
+      due = fields && cronMatches(fields, now) && !(sc.lastRun && Math.floor(sc.lastRun / 60000) === Math.floor(now / 60000));
+    } else if (sc.type === 'interval') {
+      due = !sc.lastRun || now - sc.lastRun >= sc.every * 60000;
+    } else if (sc.type === 'game') {
+      due = gameTimeCrossed(prevGameTime, gameTime, gameTarget(sc.at));
+    }
+    if (due) await runSchedule(sc).catch(e => console.error('[Schedule]', sc.name, e.message));
+  }
+  prevGameTime = gameTime;
+}
+
+function buildSchedulesData() {
+  return schedules.map(sc => ({ ...sc, summary: describeSchedule(sc) }));
+}
+
+// ─── DISCORD PANEL ───────────────────────────────────────────────────────────
+async function updatePanel() {
+  if (!C.discord.channels.switches || !knownSwitches.size) return;
+  try {
+    const ch  = await discord.channels.fetch(C.discord.channels.switches);
+    const emb = new EmbedBuilder().setColor(0xCE422B).setTitle('⚡ Switch Control Panel')
+      .setDescription('Click to toggle in-game').setTimestamp()
+      .setFooter({ text: `${Object.values(entityStates).filter(Boolean).length} switches ON` });
+    for (const [id, sw] of knownSwitches) {
+      if (!sw.inPanel) continue;
+      const dead = entityHealth[id]?.ok === false;
+      emb.addFields({ name: `${sw.icon} ${sw.name}`, value: dead ? '⚠️ UNREACHABLE' : entityStates[id] ? '🟢 ON' : '⚫ OFF', inline: true });
+    }
+    // Discord allows 5 rows: switches, then a scene row if any, then the controls
+    const scenes  = Object.keys(switchScenes).slice(0, 5);
+    const maxRows = scenes.length ? 3 : 4;
+    const rows = []; let row = new ActionRowBuilder(); let n = 0;
+    for (const [id, sw] of knownSwitches) {
+      if (!sw.inPanel) continue;
+      if (n > 0 && n % 5 === 0) {
+        if (rows.length + 1 >= maxRows) break;
+        rows.push(row); row = new ActionRowBuilder();
+      }
+      const on   = entityStates[id] ?? false;
+      const dead = entityHealth[id]?.ok === false;
+      row.addComponents(new ButtonBuilder().setCustomId(`sw_toggle_${id}`).setLabel(`${dead?'⚠️':on?'⚡':'○'} ${sw.name}`)
+        .setStyle(dead ? ButtonStyle.Secondary : on ? ButtonStyle.Success : ButtonStyle.Secondary).setDisabled(dead));
+      n++;
+    }
+    if (n) rows.push(row);
+    if (scenes.length) rows.push(new ActionRowBuilder().addComponents(scenes.map(name =>
+      new ButtonBuilder().setCustomId(`sw_scene_${name}`).setLabel(`🎬 ${name}`).setStyle(ButtonStyle.Primary))));
+    rows.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('sw_refresh').setLabel('🔄 Refresh').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId('sw_all_on').setLabel('⚡ All ON').setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId('sw_all_off').setLabel('⬛ All OFF').setStyle(ButtonStyle.Secondary),
+    ));
+    const payload = { embeds: [emb], components: rows };
+    if (panelMsgId) {
+      try { await (await ch.messages.fetch(panelMsgId)).edit(payload); return; }
+      catch { panelMsgId = null; }
+    }
+    panelMsgId = (await ch.send(payload)).id;
+  } catch (e) { console.error('[Panel]', e.message); }
 }
 
 // ─── POP TRACKER ─────────────────────────────────────────────────────────────
 function startPop() {
-  if (popTracking) return;
-  popTracking = true;
-  setInterval(async () => {
+  startJob('Pop', 60000, async () => {
     try {
       const i = await refreshServer();
       const c = i.players || 0;
@@ -1453,8 +3648,8 @@ function startPop() {
       prevPop = c;
       pushState();
     } catch {}
-  }, 60000);
-  setInterval(() => { popLog30m = { joined: 0, left: 0 }; }, 1800000);
+  }, { rust: true });
+  startJob('Pop30m', 1800000, () => { popLog30m = { joined: 0, left: 0 }; });
 }
 
 // ─── WIPE REMINDERS ──────────────────────────────────────────────────────────
@@ -1463,23 +3658,639 @@ function scheduleWipeReminders() {
   [{ b: 86400000, l: '24 hours' }, { b: 3600000, l: '1 hour' }, { b: 900000, l: '15 minutes' }]
     .forEach(({ b, l }) => {
       const d = C.wipeDate.getTime() - b - Date.now();
-      if (d > 0) setTimeout(() => {
+      if (d > 0) startTimer(`Wipe ${l}`, d, () => {
         sendTo('wipe', { embeds: [mkEmbed('📅 Wipe Reminder', `Wipes in **${l}**!`, 0xF5A623)] });
         pushAlert({ type: 'event', icon: '📅', title: `Wipe in ${l}`, detail: '' });
-      }, d);
+      });
+    });
+}
+
+// ─── MAP EVENTS ──────────────────────────────────────────────────────────────
+// Polls getMapMarkers and diffs consecutive snapshots — a marker id appearing is a
+// spawn, a tracked id vanishing is a despawn. The first snapshot after connecting is
+// only used as a baseline so a restart doesn't re-announce events already running.
+const MARKER = { Player: 1, Explosion: 2, VendingMachine: 3, CH47: 4, CargoShip: 5, Crate: 6, GenericRadius: 7, PatrolHelicopter: 8 };
+const EVENT_KINDS = {
+  [MARKER.CargoShip]:        { kind: 'cargo', icon: '🚢', name: 'Cargo Ship' },
+  [MARKER.PatrolHelicopter]: { kind: 'heli',  icon: '🚁', name: 'Patrol Helicopter' },
+  [MARKER.CH47]:             { kind: 'ch47',  icon: '✈️', name: 'Chinook CH47' },
+  [MARKER.Crate]:            { kind: 'crate', icon: '📦', name: 'Locked Crate' },
+};
+const activeEvents = new Map(); // markerId → { id, kind, icon, name, x, y, grid, since }
+const eventLog     = [];        // last 50 spawn/despawn events, newest first
+let   markersSeeded = false;
+
+function markerNearEdge(x, y) {
+  const s = serverInfo.mapSize || 4500;
+  const m = 250; // cargo and heli both leave the map past the playable edge
+  return x < m || y < m || x > s - m || y > s - m;
+}
+
+function recordEvent(ev) {
+  const entry = { ...ev, ts: Date.now() };
+  eventLog.unshift(entry);
+  if (eventLog.length > 50) eventLog.pop();
+  console.log(`[Events] ${ev.title} (${ev.grid})`);
+  wsBroadcast({ type: 'mapEvent', data: entry });
+  pushAlert({ type: 'event', icon: ev.icon, title: ev.title, detail: `Grid ${ev.grid}` });
+  if (C.alerts.events) {
+    sendTo('events', { embeds: [mkEmbed(`${ev.icon} ${ev.title}`, `Grid **${ev.grid}**`, 0x00D4FF)] });
+  }
+}
+
+function describeSpawn(ev) {
+  switch (ev.kind) {
+    case 'cargo': return 'Cargo Ship entered the map';
+    case 'heli':  return 'Patrol Helicopter inbound';
+    case 'ch47':  return 'Chinook CH47 inbound';
+    case 'crate': {
+      const chinook = [...activeEvents.values()].some(e => e.kind === 'ch47');
+      return chinook ? 'Chinook dropped a Locked Crate' : 'Locked Crate spawned';
+    }
+  }
+  return `${ev.name} spawned`;
+}
+
+function describeDespawn(ev) {
+  switch (ev.kind) {
+    case 'cargo': return 'Cargo Ship left the map';
+    case 'heli':  return markerNearEdge(ev.x, ev.y) ? 'Patrol Helicopter left' : 'Patrol Helicopter is DOWN';
+    case 'ch47':  return 'Chinook CH47 left';
+    case 'crate': return 'Locked Crate looted / despawned';
+  }
+  return `${ev.name} despawned`;
+}
+
+function diffMarkers(markers) {
+  const seen = new Set();
+  markers.forEach(mk => {
+    const def = EVENT_KINDS[mk.type];
+    if (!def) return;
+    seen.add(mk.id);
+    const grid = getGrid(mk.x, mk.y);
+    const prev = activeEvents.get(mk.id);
+    if (prev) { prev.x = mk.x; prev.y = mk.y; prev.grid = grid; return; }
+    const ev = { id: mk.id, ...def, x: mk.x, y: mk.y, grid, since: Date.now() };
+    if (markersSeeded) recordEvent({ kind: ev.kind, icon: ev.icon, title: describeSpawn(ev), grid, event: 'spawn' });
+    activeEvents.set(mk.id, ev);
+  });
+  for (const [id, ev] of activeEvents) {
+    if (seen.has(id)) continue;
+    activeEvents.delete(id);
+    recordEvent({ kind: ev.kind, icon: ev.icon, title: describeDespawn(ev), grid: ev.grid, event: 'despawn' });
+  }
+  markersSeeded = true;
+}
+
+async function pollMarkers() {
+  if (!rustConnected) return;
+  const markers = await refreshMarkers();
+  if (!markers) return;
+  const before = activeEvents.size;
+  diffMarkers(markers);
+  checkRaidMarkers(markers);
+  rulesOnMarkers(markers);
+  recordVending(markers);
+  if (activeEvents.size !== before) pushState();
+}
+
+function startMarkerPolling() {
+  startJob('Markers', 15000, pollMarkers, { rust: true, immediate: true });
+}
+
+function buildEventsData() {
+  return [...activeEvents.values()].map(e => ({
+    id: e.id, kind: e.kind, icon: e.icon, name: e.name, grid: e.grid, since: e.since,
+  }));
+}
+
+// ─── VENDING SEARCH ──────────────────────────────────────────────────────────
+// Item ids → names come from the bundled items.json; anything missing shows as "Item #id".
+// Lookups read the marker snapshot from the last poll so a burst of !shop calls costs
+// at most one getMapMarkers request.
+const ITEMS = (() => {
+  try { return JSON.parse(fs.readFileSync(path.join(__dirname, 'items.json'), 'utf8')); }
+  catch (e) { console.warn('[Items] Load error:', e.message); return {}; }
+})();
+
+function itemName(id) {
+  return ITEMS[String(id)]?.name || `Item #${id}`;
+}
+
+function findItemIds(query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  if (/^-?\d+$/.test(q)) return [Number(q)];
+  const exact = [], partial = [];
+  for (const [id, it] of Object.entries(ITEMS)) {
+    const names = [it.name, it.shortname, ...(it.aliases || [])].map(n => n.toLowerCase());
+    if (names.includes(q)) exact.push(Number(id));
+    else if (names.some(n => n.includes(q))) partial.push(Number(id));
+  }
+  return exact.length ? exact : partial;
+}
+
+async function searchVending(query) {
+  const ids = findItemIds(query);
+  if (!ids.length) return { items: [], results: [] };
+  const markers = await getMarkers();
+  const results = [];
+  markers.forEach(mk => {
+    if (mk.type !== MARKER.VendingMachine) return;
+    (mk.sellOrders || []).forEach(o => {
+      if (!ids.includes(o.itemId) || !o.amountInStock) return;
+      results.push({
+        shop:      mk.name || 'Vending Machine',
+        grid:      getGrid(mk.x, mk.y),
+        itemId:    o.itemId,
+        item:      itemName(o.itemId) + (o.itemIsBlueprint ? ' BP' : ''),
+        quantity:  o.quantity,
+        cost:      o.costPerItem,
+        currency:  itemName(o.currencyId) + (o.currencyIsBlueprint ? ' BP' : ''),
+        stock:     o.amountInStock,
+        unitPrice: o.costPerItem / (o.quantity || 1),
+      });
+    });
+  });
+  results.sort((a, b) => a.unitPrice - b.unitPrice);
+  return { items: ids.map(itemName), results };
+}
+
+function formatShopLine(r) {
+  return `${r.item} x${r.quantity} for ${r.cost} ${r.currency} (${r.stock} left) @ ${r.grid}`;
+}
+
+// ─── VENDING HISTORY & DEALS ─────────────────────────────────────────────────
+// Every distinct sell order (machine + item + price) seen this wipe is kept with the
+// time range it was listed for, so a price trend can be rebuilt for any item later.
+// Orders we haven't seen before are what deal watches get checked against.
+const VENDING_FILE = './vending_history.json';
+const DEALS_FILE   = './deal_alerts.json';
+const SCRAP_ID     = -932201673;
+let vendingHistory = { wipeTime: 0, machines: {}, listings: [] };
+let vendingDirty   = false;
+const listingIndex = new Map(); // listing key → listing
+let dealWatches    = [];        // { id, itemId, maxPrice, currencyId, createdBy, createdAt }
+
+function listingKey(machineId, o) {
+  return `${machineId}:${o.itemId}:${o.currencyId}:${o.quantity}:${o.costPerItem}:${o.itemIsBlueprint ? 1 : 0}`;
+}
+
+// Large and rewritten whole — compact JSON, one backup
+const vendingStore = createStore({
+  file: VENDING_FILE, name: 'Vending', initial: null, pretty: false, backups: 1, delay: 5000,
+  serialize: () => vendingHistory,
+  migrations: { 1: data => ({ wipeTime: 0, machines: {}, listings: [], ...data }) },
+});
+function loadVendingHistory() {
+  const data = vendingStore.load();
+  if (!data) return;
+  vendingHistory = data;
+  vendingHistory.listings.forEach(l => listingIndex.set(l.key, l));
+  console.log(`[Vending] Loaded ${vendingHistory.listings.length} listings`);
+}
+function saveVendingHistory() {
+  vendingStore.save();
+  vendingDirty = false;
+}
+loadVendingHistory();
+
+const dealsStore = createStore({ file: DEALS_FILE, name: 'Deals', initial: [], serialize: () => dealWatches });
+function loadDealWatches() {
+  dealWatches = dealsStore.load();
+  if (dealWatches.length) console.log(`[Deals] Loaded ${dealWatches.length} watches`);
+}
+const saveDealWatches = () => dealsStore.save();
+loadDealWatches();
+
+function recordVending(markers) {
+  const wipe = serverInfo.wipeTime || 0;
+  if (wipe && vendingHistory.wipeTime && wipe !== vendingHistory.wipeTime) {
+    console.log('[Vending] New wipe — price history reset');
+    vendingHistory = { wipeTime: wipe, machines: {}, listings: [] };
+    listingIndex.clear();
+  }
+  if (wipe) vendingHistory.wipeTime = wipe;
+
+  const now = Date.now();
+  const fresh = [], restocked = [];
+  markers.forEach(mk => {
+    if (mk.type !== MARKER.VendingMachine) return;
+    const mid = String(mk.id);
+    if (!vendingHistory.machines[mid]) {
+      vendingHistory.machines[mid] = { name: mk.name || 'Vending Machine', x: mk.x, y: mk.y, grid: getGrid(mk.x, mk.y), firstSeen: now };
+    }
+    const m = vendingHistory.machines[mid];
+    m.name = mk.name || m.name;
+    m.lastSeen = now;
+    (mk.sellOrders || []).forEach(o => {
+      const key = listingKey(mid, o);
+      let l = listingIndex.get(key);
+      if (!l) {
+        l = {
+          key, machineId: mid, itemId: o.itemId, currencyId: o.currencyId,
+          quantity: o.quantity, cost: o.costPerItem, bp: !!o.itemIsBlueprint, firstSeen: now,
+        };
+        vendingHistory.listings.push(l);
+        listingIndex.set(key, l);
+        fresh.push(l);
+      } else if (l.stock === 0 && o.amountInStock > 0) {
+        // Same listing back in stock — a deal again even though the key isn't new
+        restocked.push(l);
+      }
+      l.lastSeen = now;
+      l.stock    = o.amountInStock;
+    });
+  });
+  vendingDirty = true;
+  if (fresh.length) saveVendingHistory();
+  if (fresh.length || restocked.length) checkDeals([...fresh, ...restocked]);
+}
+
+function unitPrice(l) { return l.cost / (l.quantity || 1); }
+
+function dealMatches(w, l) {
+  return l.itemId === w.itemId && l.currencyId === w.currencyId && l.stock > 0 && !l.bp && unitPrice(l) <= w.maxPrice;
+}
+
+function listingText(l) {
+  const m = vendingHistory.machines[l.machineId] || {};
+  return `${itemName(l.itemId)} x${l.quantity} for ${l.cost} ${itemName(l.currencyId)} @ ${m.grid || '?'}`;
+}
+
+function checkDeals(listings) {
+  dealWatches.forEach(w => {
+    listings.filter(l => dealMatches(w, l)).slice(0, 3).forEach(l => {
+      const m    = vendingHistory.machines[l.machineId] || {};
+      const text = listingText(l);
+      console.log(`[Deals] ${text}`);
+      pushAlert({ type: 'event', icon: '💰', title: `Deal: ${itemName(l.itemId)}`, detail: text });
+      sendTo('events', { embeds: [mkEmbed('💰 Vending Deal',
+        `**${text}**\n${m.name || 'Vending Machine'} · ${l.stock} in stock\nWatching for under ${w.maxPrice} ${itemName(w.currencyId)}`,
+        0x3DDC84)] });
+      if (rustConnected) teamSay(`💰 DEAL: ${text}`).catch(() => {});
+    });
+  });
+}
+
+function addDealWatch(itemId, maxPrice, currencyId = SCRAP_ID, createdBy = '') {
+  const w = { id: Date.now().toString(36), itemId, maxPrice, currencyId, createdBy, createdAt: Date.now() };
+  dealWatches.push(w);
+  saveDealWatches();
+  return w;
+}
+
+function removeDealWatch(id) {
+  const before = dealWatches.length;
+  dealWatches = dealWatches.filter(w => w.id !== id);
+  if (dealWatches.length !== before) saveDealWatches();
+  return dealWatches.length !== before;
+}
+
+// Listings currently up — seen in the most recent poll
+function currentDeals(w) {
+  return vendingHistory.listings.filter(l => l.lastSeen >= markersAt && dealMatches(w, l));
+}
+
+// Accepts "c4 1000", "c4 under 1000" or "c4 under 1000 scrap"
+function parseDealArgs(args) {
+  const idx = args.findIndex(a => /^\d+$/.test(a));
+  if (idx < 1) return null;
+  const item = args.slice(0, idx).filter(a => !/^(under|below|<)$/i.test(a)).join(' ');
+  const cur  = args.slice(idx + 1).join(' ');
+  const itemId     = findItemIds(item)[0];
+  const currencyId = cur ? findItemIds(cur)[0] : SCRAP_ID;
+  if (itemId === undefined || currencyId === undefined) return null;
+  return { itemId, maxPrice: Number(args[idx]), currencyId };
+}
+
+// Unit price per time bucket over the wipe, in whichever currency the item is most often sold for
+function priceTrend(itemId, buckets = 6) {
+  const ls = vendingHistory.listings.filter(l => l.itemId === itemId && !l.bp);
+  if (!ls.length) return null;
+  const counts = {};
+  ls.forEach(l => { counts[l.currencyId] = (counts[l.currencyId] || 0) + 1; });
+  const currencyId = Number(Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0]);
+  const inCur = ls.filter(l => l.currencyId === currencyId);
+  const start = Math.min(...inCur.map(l => l.firstSeen));
+  const span  = Math.max(Date.now() - start, 3600000) / buckets;
+  const points = [];
+  for (let i = 0; i < buckets; i++) {
+    const from = start + i * span, to = from + span;
+    const prices = inCur.filter(l => l.firstSeen < to && l.lastSeen >= from).map(unitPrice);
+    if (!prices.length) continue;
+    points.push({
+      t:        Math.round(to),
+      min:      Math.round(Math.min(...prices)),
+      avg:      Math.round(prices.reduce((a, b) => a + b, 0) / prices.length),
+      listings: prices.length,
+    });
+  }
+  return { item: itemName(itemId), currency: itemName(currencyId), points };
+}
+
+// ─── LIVE MAP ────────────────────────────────────────────────────────────────
+// The map JPEG only changes on wipe, so it's fetched once per serverInfo.wipeTime and
+// kept on disk. Grid, markers and team are drawn onto a copy each time it's requested.
+const MAP_JPG_FILE  = './map_cache.jpg';
+const MAP_META_FILE = './map_cache.json';
+let mapCache    = null; // { wipeTime, width, height, oceanMargin, monuments[], jpg }
+let mapFetching = null;
+let mapRender   = null; // { at, buf } — reused for 10s so several viewers share one render
+let mapRendering = null;
+let mapFont     = null;
+
+function loadMapCache() {
+  try {
+    if (!fs.existsSync(MAP_META_FILE) || !fs.existsSync(MAP_JPG_FILE)) return;
+    const meta = JSON.parse(fs.readFileSync(MAP_META_FILE, 'utf8'));
+    mapCache = { ...meta, jpg: fs.readFileSync(MAP_JPG_FILE) };
+    console.log(`[Map] Loaded cached map (wipe ${meta.wipeTime}, ${meta.monuments.length} monuments)`);
+  } catch(e) { console.warn('[Map] Cache load error:', e.message); }
+}
+loadMapCache();
+
+async function ensureMap() {
+  const wipe = serverInfo.wipeTime || 0;
+  if (mapCache && (!wipe || mapCache.wipeTime === wipe)) return mapCache;
+  if (!mapFetching) mapFetching = (async () => {
+    try {
+      const r = await rustRequest('getMap');
+      const m = r?.response?.map;
+      if (!m?.jpgImage) return mapCache;
+      const meta = {
+        wipeTime:    wipe,
+        width:       m.width,
+        height:      m.height,
+        oceanMargin: m.oceanMargin || 0,
+        monuments:   (m.monuments || []).map(mo => ({ token: mo.token, x: mo.x, y: mo.y })),
+      };
+      mapCache  = { ...meta, jpg: Buffer.from(m.jpgImage) };
+      mapRender = null;
+      fs.writeFileSync(MAP_JPG_FILE, mapCache.jpg);
+      fs.writeFileSync(MAP_META_FILE, JSON.stringify(meta, null, 2));
+      console.log(`[Map] Fetched ${meta.width}x${meta.height} map, ${meta.monuments.length} monuments`);
+    } catch(e) { console.warn('[Map] Fetch error:', e.message); }
+    return mapCache;
+  })().finally(() => { mapFetching = null; });
+  return mapFetching;
+}
+
+// World → image pixel. The JPEG has an ocean margin on every side and its y axis runs
+// top→bottom, while world y runs south→north.
+function mapPixel(x, y) {
+  const s = serverInfo.mapSize || 4500;
+  const m = mapCache.oceanMargin;
+  return {
+    px: Math.round(m + x / s * (mapCache.width  - 2 * m)),
+    py: Math.round(mapCache.height - m - y / s * (mapCache.height - 2 * m)),
+  };
+}
+
+function blendPixel(img, x, y, [r, g, b, a]) {
+  const { width, height, data } = img.bitmap;
+  if (x < 0 || y < 0 || x >= width || y >= height) return;
+  const i = (y * width + x) * 4;
+  data[i]     += (r - data[i])     * a;
+  data[i + 1] += (g - data[i + 1]) * a;
+  data[i + 2] += (b - data[i + 2]) * a;
+}
+
+function fillRect(img, x, y, w, h, rgba) {
+  for (let yy = y; yy < y + h; yy++) for (let xx = x; xx < x + w; xx++) blendPixel(img, xx, yy, rgba);
+}
+
+function fillCircle(img, cx, cy, r, rgba) {
+  for (let yy = -r; yy <= r; yy++) for (let xx = -r; xx <= r; xx++) {
+    if (xx * xx + yy * yy <= r * r) blendPixel(img, cx + xx, cy + yy, rgba);
+  }
+}
+
+const MAP_MARKER_STYLE = {
+  [MARKER.CargoShip]:        { rgba: [0, 160, 255, 1],  r: 10 },
+  [MARKER.PatrolHelicopter]: { rgba: [255, 40, 40, 1],  r: 10 },
+  [MARKER.CH47]:             { rgba: [255, 150, 0, 1],  r: 9 },
+  [MARKER.Crate]:            { rgba: [255, 220, 0, 1],  r: 7 },
+  [MARKER.Explosion]:        { rgba: [255, 90, 0, 0.9], r: 8 },
+  [MARKER.VendingMachine]:   { rgba: [0, 220, 200, 0.8], r: 4 },
+};
+
+function drawMapOverlay(img, font) {
+  const s    = serverInfo.mapSize || 4500;
+  const cell = gridCellSize();
+  const line = [0, 0, 0, 0.35];
+  const top  = mapPixel(0, s), bot = mapPixel(s, 0);
+
+  // Grid lines + labels — same cells as getGrid()
+  for (let i = 0; i <= GRID_CELLS; i++) {
+    const { px } = mapPixel(i * cell, 0);
+    const { py } = mapPixel(0, i * cell);
+    fillRect(img, px, top.py, 1, bot.py - top.py, line);
+    fillRect(img, top.px, py, bot.px - top.px, 1, line);
+  }
+  for (let col = 0; col < GRID_CELLS; col++) for (let row = 0; row < GRID_CELLS; row++) {
+    const { px, py } = mapPixel(col * cell, (row + 1) * cell);
+    img.print(font, px + 3, py + 2, gridLabel(col, row));
+  }
+
+  mapCache.monuments.forEach(mo => {
+    if (!mo.token || mo.token === 'DungeonBase') return;
+    const { px, py } = mapPixel(mo.x, mo.y);
+    const label = mo.token.replace(/_display_name$/, '').replace(/_/g, ' ').toUpperCase();
+    img.print(font, px - label.length * 4, py - 8, label);
+  });
+
+  mapMarkers.forEach(mk => {
+    const st = MAP_MARKER_STYLE[mk.type];
+    if (!st) return;
+    const { px, py } = mapPixel(mk.x, mk.y);
+    fillCircle(img, px, py, st.r + 2, [0, 0, 0, 0.6]);
+    fillCircle(img, px, py, st.r, st.rgba);
+  });
+
+  (teamInfo?.members || []).forEach(m => {
+    if (!m.isOnline) return;
+    const { px, py } = mapPixel(m.x, m.y);
+    fillCircle(img, px, py, 9, [0, 0, 0, 0.7]);
+    fillCircle(img, px, py, 7, m.isAlive === false ? [255, 59, 48, 1] : [61, 220, 132, 1]);
+    img.print(font, px + 11, py - 9, m.name || 'Unknown');
+  });
+}
+
+async function renderMapImage() {
+  if (mapRender && Date.now() - mapRender.at < 10000) return mapRender.buf;
+  if (mapRendering) return mapRendering;
+  mapRendering = (async () => {
+    const map = await ensureMap();
+    if (!map) return null;
+    if (!mapFont) mapFont = await Jimp.loadFont(Jimp.FONT_SANS_16_WHITE);
+    const img = await Jimp.read(map.jpg);
+    drawMapOverlay(img, mapFont);
+    const buf = await img.quality(80).getBufferAsync(Jimp.MIME_JPEG);
+    mapRender = { at: Date.now(), buf };
+    return buf;
+  })().finally(() => { mapRendering = null; });
+  return mapRendering;
+}
+
+// ─── RUST+ REQUEST SCHEDULER ─────────────────────────────────────────────────
+// Every Rust+ call goes through one queue drained by a token bucket sized like the server's
+// per-player limit (25 tokens, +3/s; getMap costs 5, team chat 2), so bursts wait here
+// instead of getting the bot throttled. User-triggered calls jump ahead of polling: code run
+// from a periodic job is tagged background via rustPriority, everything else counts as a user.
+// getInfo/getTime/getTeamInfo/getMapMarkers go through rustCached — callers within the TTL
+// share one response, and concurrent callers share one in-flight request.
+const RUST_BUCKET    = { size: 25, perSec: 3 };
+const RUST_COST      = { getMap: 5, sendTeamMessage: 2 };
+const RUST_QUEUE_MAX = 100;
+const RUST_CACHE_TTL = { getInfo: 5000, getTime: 5000, getTeamInfo: 5000, getMapMarkers: 5000 };
+const PRIORITY       = { user: 0, background: 1 };
+const rustPriority   = new AsyncLocalStorage();
+
+const rustQueue = [];          // ordered by priority, FIFO within one
+const rustCache = new Map();   // method → { msg, at, pending }
+const rustStats = { sent: 0, failed: 0, timedOut: 0, rejected: 0, cacheHits: 0, shared: 0, throttled: 0, maxDepth: 0, byMethod: {} };
+let rustTokens  = RUST_BUCKET.size;
+let rustTokenAt = Date.now();
+let rustDrainTimer = null;
+
+// rustplus.js request methods only take callbacks — wrap them so we can await the
+// AppMessage. Returning true from the callback stops it being re-emitted as 'message'.
+function sendRustRequest({ method, args, resolve, reject }) {
+  let seq;
+  const capId   = recorder?.request(method, args);
+  const started = Date.now();
+  const timer = setTimeout(() => {
+    rustStats.timedOut++;
+    M.rustRequestErrors.inc({ method, reason: 'timeout' });
+    // Drop the pending callback so a late reply isn't held forever
+    if (seq) delete rustplus.seqCallbacks?.[seq];
+    const err = Object.assign(new Error(`${method} timed out after ${RUST_TIMEOUT_MS / 1000}s`), { timedOut: true });
+    recorder?.response(capId, null, err);
+    reject(err);
+  }, RUST_TIMEOUT_MS);
+  rustStats.sent++;
+  rustStats.byMethod[method] = (rustStats.byMethod[method] || 0) + 1;
+  try {
+    rustplus[method](...args, msg => {
+      clearTimeout(timer);
+      recorder?.response(capId, msg);
+      M.rustRequestSeconds.observe({ method }, (Date.now() - started) / 1000);
+      if (msg?.response?.error) { rustStats.failed++; M.rustRequestErrors.inc({ method, reason: 'error' }); reject(new Error(msg.response.error.error || 'Rust+ error')); }
+      else resolve(msg);
+      return true;
     });
+    seq = rustplus.seq;
+  } catch (e) { clearTimeout(timer); rustStats.failed++; M.rustRequestErrors.inc({ method, reason: 'exception' }); recorder?.response(capId, null, e); reject(e); }
+}
+
+function drainRustQueue() {
+  rustDrainTimer = null;
+  if (!rustConnected) return dropRustQueue('Not connected to Rust+');
+  const now = Date.now();
+  rustTokens  = Math.min(RUST_BUCKET.size, rustTokens + (now - rustTokenAt) / 1000 * RUST_BUCKET.perSec);
+  rustTokenAt = now;
+  while (rustQueue.length) {
+    const next = rustQueue[0];
+    if (rustTokens < next.cost) {
+      rustStats.throttled++;
+      rustDrainTimer = setTimeout(drainRustQueue, Math.ceil((next.cost - rustTokens) / RUST_BUCKET.perSec * 1000));
+      return;
+    }
+    rustQueue.shift();
+    rustTokens -= next.cost;
+    sendRustRequest(next);
+  }
 }
 
+// Rejects everything still waiting — on disconnect and shutdown
+function dropRustQueue(reason) {
+  clearTimeout(rustDrainTimer);
+  rustDrainTimer = null;
+  rustQueue.splice(0).forEach(job => job.reject(new Error(reason)));
+  rustCache.clear();
+}
+
+function rustRequest(method, ...args) {
+  return new Promise((resolve, reject) => {
+    if (!rustplus || !rustConnected) return reject(new Error('Not connected to Rust+'));
+    if (rustQueue.length >= RUST_QUEUE_MAX) { rustStats.rejected++; return reject(new Error('Rust+ request queue is full')); }
+    const prio = rustPriority.getStore() ?? PRIORITY.user;
+    const job  = { method, args, prio, cost: RUST_COST[method] || 1, resolve, reject };
+    const at   = rustQueue.findIndex(j => j.prio > prio);
+    rustQueue.splice(at < 0 ? rustQueue.length : at, 0, job);
+    rustStats.maxDepth = Math.max(rustStats.maxDepth, rustQueue.length);
+    if (!rustDrainTimer) drainRustQueue();
+  });
+}
+
+// maxAgeMs 0 forces a new request but still joins one already in flight
+function rustCached(method, maxAgeMs = RUST_CACHE_TTL[method] ?? 0) {
+  let c = rustCache.get(method);
+  if (!c) rustCache.set(method, c = { msg: null, at: 0, pending: null });
+  if (c.msg && Date.now() - c.at < maxAgeMs) { rustStats.cacheHits++; return Promise.resolve(c.msg); }
+  if (c.pending) { rustStats.shared++; return c.pending; }
+  c.pending = rustRequest(method)
+    .then(msg => { c.msg = msg; c.at = Date.now(); return msg; })
+    .finally(() => { c.pending = null; });
+  return c.pending;
+}
+
+function buildRustQueueData() {
+  return {
+    depth:      rustQueue.length,
+    background: rustQueue.filter(j => j.prio === PRIORITY.background).length,
+    tokens:     Math.floor(Math.min(RUST_BUCKET.size, rustTokens + (Date.now() - rustTokenAt) / 1000 * RUST_BUCKET.perSec)),
+    bucket:     RUST_BUCKET.size,
+    ...rustStats,
+    byMethod:   { ...rustStats.byMethod },
+  };
+}
+
+// Team chat is queued like every other call
+const teamSay = text => rustRequest('sendTeamMessage', text);
+
 // ─── DATA FETCHERS ────────────────────────────────────────────────────────────
-async function refreshServer() {
-  try { const r = await rustplus.getInfo(); if (r?.response?.info) serverInfo = r.response.info; }
+// markersAt lets lookups reuse the last poll; a poll passes maxAgeMs 0 to force a new snapshot.
+// A failed fetch returns null so the poll doesn't diff the previous snapshot as if it were new.
+let markersAt = 0;
+async function refreshMarkers(maxAgeMs = 0) {
+  try {
+    const r = await rustCached('getMapMarkers', maxAgeMs);
+    mapMarkers = r?.response?.mapMarkers?.markers || [];
+    markersAt  = rustCache.get('getMapMarkers')?.at || Date.now();
+    return mapMarkers;
+  } catch (e) { console.error('[getMapMarkers]', e.message); return null; }
+}
+
+// Lookups would rather show the last snapshot than nothing
+async function getMarkers(maxAgeMs = 15000) {
+  if (Date.now() - markersAt < maxAgeMs) return mapMarkers;
+  return (await refreshMarkers(maxAgeMs)) ?? mapMarkers;
+}
+
+// 13.75 → "13:45"
+function fmtClock(hours) {
+  const mins = Math.floor(hours * 60) % 1440;
+  return String(Math.floor(mins / 60)).padStart(2, '0') + ':' + String(mins % 60).padStart(2, '0');
+}
+
+// AppInfo has no clock, so the in-game time comes from getTime and is folded into serverInfo:
+// time is "HH:MM" for display, timeOfDay/sunrise/sunset are fractional hours for the scheduler
+async function refreshServer(maxAgeMs) {
+  try { const r = await rustCached('getInfo', maxAgeMs); if (r?.response?.info) serverInfo = { ...r.response.info }; }
   catch (e) { console.error('[getInfo]', e.message); }
+  try {
+    const t = (await rustCached('getTime', maxAgeMs))?.response?.time;
+    if (t) Object.assign(serverInfo, { time: fmtClock(t.time), timeOfDay: t.time, sunrise: t.sunrise, sunset: t.sunset });
+  } catch (e) { console.error('[getTime]', e.message); }
   return serverInfo;
 }
 
-async function refreshTeam() {
+// teamChanged passes 0 — the broadcast means any cached copy is already out of date
+async function refreshTeam(maxAgeMs) {
   try {
-    const r = await rustplus.getTeamInfo();
+    const r = await rustCached('getTeamInfo', maxAgeMs);
     if (r?.response?.teamInfo) teamInfo = r.response.teamInfo;
     if (teamInfo?.members) updateSpyFromTeam(teamInfo.members);
   } catch (e) { console.error('[getTeam]', e.message); }
@@ -1488,14 +4299,71 @@ async function refreshTeam() {
 
 // Heartbeat — refreshes server data and pushes state every 30 seconds
 // (pop tracker handles the 60s full refresh; this keeps game time + player count current between those)
-setInterval(async () => {
+// The runtime stamp doesn't wait on Rust+ — BattleMetrics spy sessions stay open through an outage
+startJob('Heartbeat', 30000, async () => {
+  heartbeat();
   if (!rustConnected) return;
   try { await refreshServer(); } catch {}
   pushState();
-}, 30000);
+});
+
+// Schedules are checked every 20s: cron by the minute, in-game times as the heartbeat moves the clock
+startJob('Schedule', 20000, tickSchedules);
+
+// Forget expired login/join counters
+startJob('Throttles', 600000, pruneThrottles);
 
 // Persist watched-player time data every 5 minutes so session totals survive restarts
-setInterval(() => { if (watchedPlayers.size > 0) saveWatchedPlayers(); }, 300000);
+startJob('Watched', 300000, () => { if (watchedPlayers.size > 0) saveWatchedPlayers(); });
+
+// Vending listings are saved immediately when new; this keeps lastSeen/stock current on disk
+startJob('Vending', 300000, () => { if (vendingDirty) saveVendingHistory(); });
+
+// Pending coalesced writes go to disk even when the process exits on an error
+process.on('exit', flushAll);
+
+// ─── SHUTDOWN ────────────────────────────────────────────────────────────────
+// SIGTERM (Railway/Docker stop) and SIGINT (Ctrl+C): close sessions, write every store,
+// then drop Rust+, voice, dashboards and Discord. A second signal or 10s stall forces exit.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) { console.warn('[Shutdown] Forced'); process.exit(1); }
+  shuttingDown = true;
+  console.log(`[Shutdown] ${signal} — closing down`);
+  setTimeout(() => { console.warn('[Shutdown] Timed out'); process.exit(1); }, 10000).unref();
+
+  const { spy, play } = closeOpenSessions(Date.now());
+  console.log(`[Shutdown] Closed ${spy} spy / ${play} playtime sessions`);
+  runtimeState.lastBeat      = Date.now();
+  runtimeState.cleanShutdown = true;
+  runtimeStore.save();
+  flushAll();
+
+  await Promise.race([
+    sendTo('log', { embeds: [mkEmbed('🛑 Shutting Down', `Received ${signal}`, 0x888888)] }),
+    new Promise(r => setTimeout(r, 2000)),
+  ]).catch(() => {});
+
+  clearTimeout(reconnectTimer);
+  stopJobs();
+  dropRustQueue('Bot shutting down');
+  try { rustplus?.disconnect(); } catch {}
+  rustConnected = false;
+  if (voiceConn) { try { voiceConn.destroy(); } catch {} voiceConn = null; }
+  wsClients.forEach(ws => { send(ws, { type: 'botShutdown' }); try { ws.close(1001, 'Bot shutting down'); } catch {} });
+  httpServer.close();
+  try { await discord.destroy(); } catch {}
+  console.log('[Shutdown] Done');
+  process.exit(0);
+}
+
+// Anything that reaches here is a bug — log it and let the process manager restart us
+process.on('uncaughtException', err => { console.error('[FATAL] Uncaught exception:', err); process.exit(1); });
+process.on('unhandledRejection', reason => { console.error('[FATAL] Unhandled rejection:', reason); process.exit(1); });
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
 
 // ─── SLASH COMMANDS ───────────────────────────────────────────────────────────
 const CMDS = [
@@ -1503,15 +4371,78 @@ const CMDS = [
   new SlashCommandBuilder().setName('team').setDescription('👥 Team status'),
   new SlashCommandBuilder().setName('switches').setDescription('⚡ List switches'),
   new SlashCommandBuilder().setName('switch').setDescription('⚡ Toggle switch')
-    .addStringOption(o => o.setName('name').setDescription('Name').setRequired(true))
+    .addStringOption(o => o.setName('name').setDescription('Switch or group name').setRequired(true))
     .addStringOption(o => o.setName('state').setDescription('on/off').setRequired(true)
       .addChoices({ name: 'on', value: 'on' }, { name: 'off', value: 'off' })),
+  new SlashCommandBuilder().setName('scene').setDescription('🎬 Switch scenes')
+    .addSubcommand(s => s.setName('run').setDescription('Apply a scene')
+      .addStringOption(o => o.setName('name').setDescription('Scene name').setRequired(true)))
+    .addSubcommand(s => s.setName('list').setDescription('List scenes and groups')),
+  new SlashCommandBuilder().setName('schedule').setDescription('⏰ Scheduled switch actions')
+    .addSubcommand(s => s.setName('list').setDescription('List schedules')),
+  new SlashCommandBuilder().setName('audit').setDescription('📜 Who changed what')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption(o => o.setName('actor').setDescription('Member, Discord user or in-game name'))
+    .addStringOption(o => o.setName('action').setDescription('e.g. switch, approve, ruleSave'))
+    .addStringOption(o => o.setName('target').setDescription('Switch, member, rule… name'))
+    .addStringOption(o => o.setName('source').setDescription('Where it came from')
+      .addChoices(...AUDIT_SOURCES.map(src => ({ name: src, value: src }))))
+    .addIntegerOption(o => o.setName('limit').setDescription('Entries (default 15)').setMinValue(1).setMaxValue(50)),
+  new SlashCommandBuilder().setName('apikey').setDescription('🔑 REST API keys')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s.setName('create').setDescription('Create a key (shown once)')
+      .addStringOption(o => o.setName('name').setDescription('What the key is for').setRequired(true))
+      .addStringOption(o => o.setName('scopes').setDescription('Comma list (state, team, switches:write, requests, …) or "all"').setRequired(true)))
+    .addSubcommand(s => s.setName('list').setDescription('List keys'))
+    .addSubcommand(s => s.setName('revoke').setDescription('Revoke a key')
+      .addStringOption(o => o.setName('id').setDescription('Key ID').setRequired(true))),
   new SlashCommandBuilder().setName('pop').setDescription('📊 Population'),
   new SlashCommandBuilder().setName('time').setDescription('🕐 In-game time'),
   new SlashCommandBuilder().setName('wipe').setDescription('📅 Wipe countdown'),
   new SlashCommandBuilder().setName('map').setDescription('🗺 Map link'),
+  new SlashCommandBuilder().setName('shop').setDescription('🛒 Search vending machines')
+    .addStringOption(o => o.setName('item').setDescription('Item name, e.g. hqm, rocket, c4').setRequired(true)),
+  new SlashCommandBuilder().setName('price').setDescription('📈 Vending price trend this wipe')
+    .addStringOption(o => o.setName('item').setDescription('Item name').setRequired(true)),
+  new SlashCommandBuilder().setName('deal').setDescription('💰 Vending deal alerts')
+    .addSubcommand(s => s.setName('add').setDescription('Alert when an item is listed below a price')
+      .addStringOption(o => o.setName('item').setDescription('Item name, e.g. c4').setRequired(true))
+      .addIntegerOption(o => o.setName('price').setDescription('Max price per item').setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName('currency').setDescription('Currency item (default scrap)')))
+    .addSubcommand(s => s.setName('remove').setDescription('Remove a deal alert')
+      .addStringOption(o => o.setName('id').setDescription('Watch ID from /deal list').setRequired(true)))
+    .addSubcommand(s => s.setName('list').setDescription('List deal alerts')),
   new SlashCommandBuilder().setName('voicejoin').setDescription('🔊 Join voice'),
   new SlashCommandBuilder().setName('voiceleave').setDescription('🔇 Leave voice'),
+  new SlashCommandBuilder().setName('base').setDescription('🏠 Raid detection bases')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s.setName('add').setDescription('Add or move a base')
+      .addStringOption(o => o.setName('name').setDescription('Base name').setRequired(true))
+      .addStringOption(o => o.setName('location').setDescription('Grid (G12) or coordinates (1200,850)').setRequired(true))
+      .addIntegerOption(o => o.setName('radius').setDescription('Detection radius in metres (default one grid cell)').setMinValue(10)))
+    .addSubcommand(s => s.setName('remove').setDescription('Remove a base')
+      .addStringOption(o => o.setName('name').setDescription('Base name').setRequired(true)))
+    .addSubcommand(s => s.setName('link').setDescription('Use an alarm or storage monitor as a raid indicator')
+      .addStringOption(o => o.setName('name').setDescription('Base name').setRequired(true))
+      .addStringOption(o => o.setName('entity').setDescription('Alarm or storage monitor entity ID').setRequired(true)))
+    .addSubcommand(s => s.setName('unlink').setDescription('Stop using an entity as a raid indicator')
+      .addStringOption(o => o.setName('name').setDescription('Base name').setRequired(true))
+      .addStringOption(o => o.setName('entity').setDescription('Entity ID').setRequired(true)))
+    .addSubcommand(s => s.setName('list').setDescription('List bases and their indicators')),
+  new SlashCommandBuilder().setName('entity').setDescription('🧩 Manage paired switches, alarms and monitors')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(s => s.setName('add').setDescription('Register a paired entity')
+      .addStringOption(o => o.setName('kind').setDescription('Entity kind').setRequired(true)
+        .addChoices({ name: 'switch', value: 'switch' }, { name: 'alarm', value: 'alarm' }, { name: 'monitor', value: 'monitor' }))
+      .addStringOption(o => o.setName('id').setDescription('Entity ID').setRequired(true))
+      .addStringOption(o => o.setName('name').setDescription('Display name').setRequired(true))
+      .addStringOption(o => o.setName('icon').setDescription('Emoji icon')))
+    .addSubcommand(s => s.setName('remove').setDescription('Delete an entity')
+      .addStringOption(o => o.setName('id').setDescription('Entity ID').setRequired(true)))
+    .addSubcommand(s => s.setName('rename').setDescription('Rename or re-icon an entity')
+      .addStringOption(o => o.setName('id').setDescription('Entity ID').setRequired(true))
+      .addStringOption(o => o.setName('name').setDescription('New name').setRequired(true))
+      .addStringOption(o => o.setName('icon').setDescription('New emoji icon'))),
   new SlashCommandBuilder().setName('testalert').setDescription('🧪 Test alert')
     .addStringOption(o => o.setName('type').setDescription('Type').setRequired(true)
       .addChoices({ name: 'raid', value: 'raid' }, { name: 'alarm', value: 'alarm' }, { name: 'death', value: 'death' }, { name: 'tts', value: 'tts' })),
@@ -1532,15 +4463,23 @@ discord.on('interactionCreate', async interaction => {
     const action = parts[1];
     const eid    = parts[2];
     await interaction.deferUpdate().catch(() => {});
+    const by = discordActor(interaction.user);
     if (action === 'toggle' && eid) {
-      await setEntity(eid, !(entityStates[eid] ?? false));
+      await applySwitch(eid, !(entityStates[eid] ?? false), by);
       pushState();
       try { await updatePanel(); } catch {}
     }
-    if (action === 'refresh') { try { await updatePanel(); } catch {} }
+    if (action === 'refresh') {
+      if (rustConnected) { try { await syncEntities(); } catch {} pushState(); }
+      try { await updatePanel(); } catch {}
+    }
+    if (action === 'scene') {
+      const r = await runScene(parts.slice(2).join('_'), by);
+      await interaction.followUp({ content: formatSceneResults(r), ephemeral: true }).catch(() => {});
+    }
     if (action === 'all') {
       const val = eid === 'on';
-      for (const [id, sw] of knownSwitches) if (sw.inPanel) await setEntity(id, val);
+      for (const [id, sw] of knownSwitches) if (sw.inPanel) await applySwitch(id, val, by);
       pushState();
       try { await updatePanel(); } catch {}
     }
@@ -1548,8 +4487,10 @@ discord.on('interactionCreate', async interaction => {
   }
 
   if (!interaction.isChatInputCommand()) return;
-  await interaction.deferReply().catch(() => {});
+  // API keys are only ever shown to the admin who created them
+  await interaction.deferReply({ ephemeral: interaction.commandName === 'apikey' }).catch(() => {});
   const cmd = interaction.commandName;
+  const by  = discordActor(interaction.user);
 
   try {
     if (cmd === 'server') {
@@ -1581,12 +4522,71 @@ discord.on('interactionCreate', async interaction => {
     if (cmd === 'switch') {
       const name   = interaction.options.getString('name');
       const wantOn = interaction.options.getString('state') === 'on';
+      if (switchGroups[sceneKey(name)]) {
+        const r = await runGroup(name, wantOn, by);
+        return interaction.editReply({ embeds: [mkEmbed(r.ok ? '⚡ Group Set' : '⚠️ Group Incomplete', formatSceneResults(r), r.ok ? 0x3DDC84 : 0xF5A623)] });
+      }
       let eid = null;
       for (const [id, sw] of knownSwitches) if (sw.name.toLowerCase().includes(name.toLowerCase())) { eid = id; break; }
       if (!eid) return interaction.editReply({ embeds: [mkEmbed('❌ Not Found', `No switch: ${name}`, 0xCE422B)] });
-      await setEntity(eid, wantOn); pushState(); try { await updatePanel(); } catch {}
+      const r = await applySwitch(eid, wantOn, by); pushState(); try { await updatePanel(); } catch {}
+      if (!r.ok) return interaction.editReply({ embeds: [mkEmbed('❌ Switch Failed', `${knownSwitches.get(eid)?.name}: ${r.msg}`, 0xCE422B)] });
       return interaction.editReply({ embeds: [mkEmbed(wantOn?'⚡ ON':'⬛ OFF', `${knownSwitches.get(eid)?.name} → ${wantOn?'ON':'OFF'}`, wantOn?0x3DDC84:0x888888)] });
     }
+    if (cmd === 'scene') {
+      if (interaction.options.getSubcommand() === 'list') {
+        const { groups, scenes } = buildScenesData();
+        const desc = [
+          scenes.length ? scenes.map(s => `🎬 **${s.name}** — ${s.steps}`).join('\n') : 'No scenes',
+          groups.length ? groups.map(g => `📁 **${g.name}** — ${g.ids.map(id => knownSwitches.get(id)?.name || id).join(', ')}`).join('\n') : 'No groups',
+        ].join('\n\n');
+        return interaction.editReply({ embeds: [mkEmbed('🎬 Scenes & Groups', desc, 0xCE422B)] });
+      }
+      const r = await runScene(interaction.options.getString('name'), by);
+      return interaction.editReply({ embeds: [mkEmbed(r.ok ? '🎬 Scene Applied' : '⚠️ Scene Incomplete', formatSceneResults(r), r.ok ? 0x3DDC84 : 0xF5A623)] });
+    }
+    if (cmd === 'audit') {
+      const entries = queryAudit({
+        actor:  interaction.options.getString('actor'),
+        action: interaction.options.getString('action'),
+        target: interaction.options.getString('target'),
+        source: interaction.options.getString('source'),
+        limit:  interaction.options.getInteger('limit') || 15,
+      });
+      let desc = '';
+      for (const e of entries) {
+        const line = `<t:${Math.floor(e.ts / 1000)}:R> ${auditLine(e)}`.slice(0, 300) + '\n';
+        if (desc.length + line.length > 4000) break;
+        desc += line;
+      }
+      return interaction.editReply({ embeds: [mkEmbed('📜 Audit Log', desc || 'No matching entries', 0xCE422B)] });
+    }
+    if (cmd === 'apikey') {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'create') {
+        const { scopes, error } = parseScopes(interaction.options.getString('scopes'));
+        if (error) return interaction.editReply({ embeds: [mkEmbed('❌ API Key', error, 0xCE422B)] });
+        const { key, token } = createApiKey(interaction.options.getString('name'), scopes, interaction.user.tag);
+        audit(by, 'apiKeyCreate', `${key.name} (${key.id})`, { after: scopes });
+        return interaction.editReply({ embeds: [mkEmbed('🔑 API Key Created',
+          `**${key.name}** (\`${key.id}\`)\nScopes: ${scopes.join(', ')}\n\n\`${token}\`\n\nCopy it now — it is not stored and won't be shown again.\nUse it as \`Authorization: Bearer <key>\` on /api/v1.`, 0x3DDC84)] });
+      }
+      if (sub === 'revoke') {
+        const ok = revokeApiKey(interaction.options.getString('id'));
+        if (ok) audit(by, 'apiKeyRevoke', interaction.options.getString('id'));
+        return interaction.editReply({ embeds: [mkEmbed(ok ? '🔑 Key Revoked' : '❌ API Key', ok ? 'The key no longer works.' : 'No key with that ID', ok ? 0x3DDC84 : 0xCE422B)] });
+      }
+      const desc = apiKeys.map(k =>
+        `\`${k.id}\` **${k.name}** — ${k.scopes.join(', ')} · ${k.lastUsed ? `used <t:${Math.floor(k.lastUsed / 1000)}:R>` : 'never used'}`
+      ).join('\n') || 'No API keys';
+      return interaction.editReply({ embeds: [mkEmbed('🔑 API Keys', desc, 0xCE422B)] });
+    }
+    if (cmd === 'schedule') {
+      const desc = schedules.map(sc =>
+        `${sc.enabled ? '🟢' : '⚫'} **${sc.name}** — ${describeSchedule(sc)}${sc.lastRun ? ` · last <t:${Math.floor(sc.lastRun / 1000)}:R>` : ''}`
+      ).join('\n') || 'No schedules — add them from the dashboard';
+      return interaction.editReply({ embeds: [mkEmbed('⏰ Schedules', desc, 0xCE422B)] });
+    }
     if (cmd === 'switches') {
       const e = new EmbedBuilder().setColor(0xCE422B).setTitle('⚡ Switches');
       for (const [id, sw] of knownSwitches) e.addFields({ name: `${sw.icon} ${sw.name}`, value: entityStates[id]?'🟢 ON':'⚫ OFF', inline: true });
@@ -1598,15 +4598,127 @@ discord.on('interactionCreate', async interaction => {
     }
     if (cmd === 'map') {
       const i = await refreshServer();
-      return interaction.editReply({ embeds: [mkEmbed('🗺 Map', `[rustmaps.com](https://rustmaps.com/map/${i.mapSize}/${i.seed})`, 0x3DDC84)] });
+      const e = mkEmbed('🗺 Map', `[rustmaps.com](https://rustmaps.com/map/${i.mapSize}/${i.seed})`, 0x3DDC84);
+      const img = await renderMapImage().catch(err => { console.error('[Map]', err.message); return null; });
+      if (!img) return interaction.editReply({ embeds: [e] });
+      e.setImage('attachment://map.jpg');
+      return interaction.editReply({ embeds: [e], files: [new AttachmentBuilder(img, { name: 'map.jpg' })] });
+    }
+    if (cmd === 'shop') {
+      const q = interaction.options.getString('item');
+      const { items, results } = await searchVending(q);
+      if (!items.length) return interaction.editReply({ embeds: [mkEmbed('❌ Unknown Item', `No item matches **${q}**`, 0xCE422B)] });
+      if (!results.length) return interaction.editReply({ embeds: [mkEmbed('🛒 Shop Search', `Nobody is selling **${items[0]}** right now`, 0x888888)] });
+      const e = mkEmbed('🛒 Shop Search', `${results.length} listing(s) for **${q}** — cheapest first`, 0x00D4FF);
+      results.slice(0, 10).forEach(r => e.addFields({
+        name:  `${r.item} x${r.quantity} @ ${r.grid}`,
+        value: `${r.cost} ${r.currency} · ${r.stock} in stock · ${r.shop}`,
+      }));
+      return interaction.editReply({ embeds: [e] });
+    }
+    if (cmd === 'price') {
+      const q  = interaction.options.getString('item');
+      const id = findItemIds(q)[0];
+      const tr = id !== undefined ? priceTrend(id) : null;
+      if (!tr) return interaction.editReply({ embeds: [mkEmbed('📈 Price Trend', `No price history for **${q}** this wipe`, 0x888888)] });
+      const e = mkEmbed(`📈 ${tr.item}`, `Price per item in **${tr.currency}**`, 0x00D4FF);
+      tr.points.forEach(p => e.addFields({
+        name:  `<t:${Math.floor(p.t / 1000)}:f>`,
+        value: `min **${p.min}** · avg ${p.avg} · ${p.listings} listing(s)`,
+      }));
+      return interaction.editReply({ embeds: [e] });
+    }
+    if (cmd === 'deal') {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'add') {
+        const item   = interaction.options.getString('item');
+        const cur    = interaction.options.getString('currency');
+        const itemId = findItemIds(item)[0];
+        const curId  = cur ? findItemIds(cur)[0] : SCRAP_ID;
+        if (itemId === undefined || curId === undefined) return interaction.editReply({ embeds: [mkEmbed('❌ Unknown Item', `Can't resolve **${itemId === undefined ? item : cur}**`, 0xCE422B)] });
+        const w   = addDealWatch(itemId, interaction.options.getInteger('price'), curId, interaction.user.tag);
+        audit(by, 'dealAdd', w.id, { after: `${itemName(w.itemId)} < ${w.maxPrice} ${itemName(w.currencyId)}` });
+        const now = currentDeals(w);
+        return interaction.editReply({ embeds: [mkEmbed('💰 Deal Alert Added',
+          `${itemName(w.itemId)} under **${w.maxPrice} ${itemName(w.currencyId)}** · ID \`${w.id}\`` +
+          (now.length ? `\n\nListed right now:\n${now.slice(0, 5).map(listingText).join('\n')}` : ''), 0x3DDC84)] });
+      }
+      if (sub === 'remove') {
+        const id = interaction.options.getString('id');
+        const removed = removeDealWatch(id);
+        if (removed) audit(by, 'dealRemove', id);
+        return interaction.editReply({ embeds: [removed
+          ? mkEmbed('💰 Deal Alert Removed', `\`${id}\``, 0x888888)
+          : mkEmbed('❌ Not Found', `No deal alert \`${id}\``, 0xCE422B)] });
+      }
+      return interaction.editReply({ embeds: [mkEmbed('💰 Deal Alerts', dealWatches.map(w =>
+        `\`${w.id}\` ${itemName(w.itemId)} under ${w.maxPrice} ${itemName(w.currencyId)}`).join('\n') || 'None set', 0xF5A623)] });
+    }
+    if (cmd === 'entity') {
+      const sub = interaction.options.getSubcommand();
+      const id  = interaction.options.getString('id');
+      const fields = { name: interaction.options.getString('name'), icon: interaction.options.getString('icon') || undefined };
+      const before = entitySnapshot(id), label = entityLabel(id);
+      const r = sub === 'add'    ? await addEntity(interaction.options.getString('kind'), id, fields)
+              : sub === 'remove' ? removeEntity(id)
+              : updateEntity(id, fields);
+      audit(by, sub === 'add' ? 'entityAdd' : sub === 'remove' ? 'entityRemove' : 'entityUpdate', sub === 'add' ? entityLabel(id) : label,
+        { before, after: entitySnapshot(id), ok: r.ok, detail: r.msg });
+      if (r.ok) await entitiesChanged();
+      return interaction.editReply({ embeds: [mkEmbed(r.ok ? '🧩 Entities' : '❌ Entity Error', r.msg, r.ok ? 0x3DDC84 : 0xCE422B)] });
+    }
+    if (cmd === 'base') {
+      const sub  = interaction.options.getSubcommand();
+      const name = interaction.options.getString('name');
+      const base = name ? bases.find(b => b.name.toLowerCase() === name.toLowerCase()) : null;
+      if (sub === 'add') {
+        const loc = parseBaseLocation(interaction.options.getString('location'));
+        if (!loc) return interaction.editReply({ embeds: [mkEmbed('❌ Bad Location', 'Use a grid like `G12` or coordinates like `1200,850`', 0xCE422B)] });
+        const b = { name: base?.name || name, ...loc, radius: interaction.options.getInteger('radius') || null, entities: base?.entities || [] };
+        bases = bases.filter(x => x !== base).concat(b);
+        saveBases();
+        audit(by, 'baseSave', b.name, { before: base ?? null, after: b });
+        return interaction.editReply({ embeds: [mkEmbed('🏠 Base Saved', `**${b.name}** at **${baseGrid(b)}** · radius ${Math.round(baseRadius(b))}m`, 0x3DDC84)] });
+      }
+      if (sub === 'list') {
+        const e = mkEmbed('🏠 Bases', bases.length ? null : 'No bases set — `/base add`', 0xF5A623);
+        bases.forEach(b => e.addFields({
+          name:  `${b.name} · ${baseGrid(b)}`,
+          value: `Radius ${Math.round(baseRadius(b))}m\n` + ((b.entities || []).map(id =>
+            `${knownAlarms.has(id) ? '🔔' : '📦'} ${knownAlarms.get(id)?.name || knownMonitors.get(id)?.name || '?'} \`${id}\``).join('\n') || 'No indicators'),
+          inline: true,
+        }));
+        return interaction.editReply({ embeds: [e] });
+      }
+      if (!base) return interaction.editReply({ embeds: [mkEmbed('❌ Not Found', `No base: ${name}`, 0xCE422B)] });
+      if (sub === 'remove') {
+        const users = rules.filter(r => r.trigger.near?.toLowerCase() === base.name.toLowerCase());
+        if (users.length) return interaction.editReply({ embeds: [mkEmbed('❌ Base In Use', `Automation rule(s) ${users.map(r => `**${r.name}**`).join(', ')} trigger near **${base.name}** — change or delete them first`, 0xCE422B)] });
+        bases = bases.filter(b => b !== base);
+        saveBases();
+        audit(by, 'baseRemove', base.name, { before: base, after: null });
+        return interaction.editReply({ embeds: [mkEmbed('🏠 Base Removed', `**${base.name}**`, 0x888888)] });
+      }
+      const eid = interaction.options.getString('entity').trim();
+      const linked = [...(base.entities || [])];
+      if (sub === 'link') {
+        if (!knownAlarms.has(eid) && !knownMonitors.has(eid)) return interaction.editReply({ embeds: [mkEmbed('❌ Unknown Entity', `\`${eid}\` is not a configured alarm or storage monitor`, 0xCE422B)] });
+        base.entities = [...new Set([...(base.entities || []), eid])];
+      } else {
+        base.entities = (base.entities || []).filter(id => id !== eid);
+      }
+      saveBases();
+      audit(by, sub === 'link' ? 'baseLink' : 'baseUnlink', base.name, { before: linked, after: base.entities });
+      return interaction.editReply({ embeds: [mkEmbed('🏠 Indicators Updated', `**${base.name}**: ${base.entities.length} indicator(s)`, 0x3DDC84)] });
     }
-    if (cmd === 'voicejoin')  { await ensureVoice(); return interaction.editReply({ embeds: [mkEmbed('🔊 Joined', 'Bot in voice', 0x3DDC84)] }); }
+    if (cmd === 'voicejoin')  { await ensureVoice(); audit(by, 'voiceJoin', C.voice.channelId); return interaction.editReply({ embeds: [mkEmbed('🔊 Joined', 'Bot in voice', 0x3DDC84)] }); }
     if (cmd === 'voiceleave') {
-      if (voiceConn) { voiceConn.destroy(); voiceConn = null; }
+      if (voiceConn) { voiceConn.destroy(); voiceConn = null; audit(by, 'voiceLeave', C.voice.channelId); }
       return interaction.editReply({ embeds: [mkEmbed('🔇 Left', 'Bot left voice', 0x888888)] });
     }
     if (cmd === 'testalert') {
       const type = interaction.options.getString('type');
+      audit(by, 'testAlert', type);
       await interaction.editReply({ embeds: [mkEmbed('🧪 Test', `Firing **${type}**`, 0xF5A623)] });
       if (type === 'raid')  handleRaid('TEST (simulated)');
       if (type === 'alarm') { for (const [id, alm] of knownAlarms) { await handleAlarm(id, alm, { payload: { targetName: 'F5' } }); break; } }
@@ -1628,7 +4740,8 @@ discord.once('clientReady', async () => {
 // ─── START ───────────────────────────────────────────────────────────────────
 httpServer.listen(C.wsPort, () => console.log(`[WS] Listening on port ${C.wsPort}`));
 
-discord.login(C.discord.token).catch(e => {
+if (replay) startRustClient();
+else discord.login(C.discord.token).catch(e => {
   console.error('[Discord] Login failed:', e.message);
   console.warn('[Discord] Continuing without Discord — starting Rust+ and HTTP server anyway.');
   // Start Rust+ even without Discord
@@ -0,0 +1,217 @@
+/**
+ * Record and replay of the Rust+ stream, for reproducing what happened on a live server.
+ *
+ * Recorder — attached to the rustplus client, it appends one JSON line per event to a capture
+ * file: connects/disconnects, every broadcast, and every request with its response or error.
+ * Times are ms since the recording started. Messages are stored with protobufjs toObject
+ * (uint64 as strings, bytes as base64) so they decode back to the same types.
+ *   Never written: the player token, the server address and map images.
+ *   Anonymized (default): steam IDs become stable per-capture pseudonyms (salted, so they can't
+ *   be reversed), player names become "Player N", and team chat is reduced to its length —
+ *   except lines starting with ! or /, which are kept so commands replay (their arguments may
+ *   still name someone). Kept as-is: positions, entity IDs and values, server info and markers.
+ *   Pseudonymous IDs never match the keys in watched_players.json, playtime.json etc., so a
+ *   replay against a copy of live data files only lines up with a non-anonymized capture
+ *   (anonymize: false) — keep those to yourself.
+ *
+ * Replay client — stands in for the rustplus client. connect() starts the capture's timeline
+ * (at real speed or `speed`× faster) and re-emits its connected/disconnected/message events,
+ * so the bot's own handlers run on them unchanged. Requests are answered with the recorded
+ * response for the same method and entity — the latest one at or before the current point in
+ * the capture, so the bot never sees ahead (recorded errors and timeouts included). Team chat the
+ * bot sends is handed to `onOutput` instead of going anywhere.
+ *
+ * Capture line kinds: meta | connected | disconnected | broadcast | request | response
+ */
+const fs           = require('fs');
+const path         = require('path');
+const crypto       = require('crypto');
+const EventEmitter = require('events');
+const { AppMessage } = require('./rustproto');
+
+const CAPTURE_VERSION = 1;
+const TO_OBJECT       = { longs: String, bytes: String };
+const STEAM_ID_KEYS   = new Set(['steamId', 'playerId', 'leaderSteamId']);
+
+/**
+ * @param {object}  opts
+ * @param {string}  opts.file              capture path — appended to, created with its directory if missing
+ * @param {object}  [opts.meta]            extra fields for the header line (server name, bot version…)
+ * @param {boolean} [opts.anonymize=true]  pseudonymize steam IDs and names, drop chat text
+ */
+function createRecorder({ file, meta = {}, anonymize = true }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const salt    = crypto.randomBytes(16);
+  const started = Date.now();
+  const aliases = new Map();
+  let nextId = 0;
+
+  // Same real ID → same pseudonym for the whole capture, still shaped like a steamID64
+  function alias(id) {
+    const key = String(id);
+    if (key === '0' || !key) return key;
+    if (!aliases.has(key)) {
+      const n = parseInt(crypto.createHmac('sha256', salt).update(key).digest('hex').slice(0, 12), 16) % 1e10;
+      aliases.set(key, '7656119' + String(n).padStart(10, '0'));
+    }
+    return aliases.get(key);
+  }
+
+  const names = new Map();
+  function aliasName(name) {
+    if (!names.has(name)) names.set(name, `Player ${names.size + 1}`);
+    return names.get(name);
+  }
+  const chatText = text => /^[!/]/.test(text) ? text : `[${String(text).length} chars]`;
+
+  function redact(v, key) {
+    if (Array.isArray(v)) return v.map(x => redact(x));
+    if (v && typeof v === 'object') {
+      const out = {};
+      const player = anonymize && 'steamId' in v;   // team members, chat lines, player markers
+      for (const [k, x] of Object.entries(v)) {
+        if (k === 'jpgImage')                  out.jpgImageOmitted = Buffer.byteLength(x, 'base64');
+        else if (player && k === 'name')       out[k] = aliasName(x);
+        else if (player && k === 'message')    out[k] = chatText(x);
+        else                                   out[k] = redact(x, k);
+      }
+      return out;
+    }
+    return anonymize && STEAM_ID_KEYS.has(key) ? alias(v) : v;
+  }
+
+  function write(kind, data = {}) {
+    try { fs.appendFileSync(file, JSON.stringify({ t: Date.now() - started, kind, ...data }) + '\n'); }
+    catch (e) { console.error('[Capture] write failed —', e.message); }
+  }
+
+  function plain(msg) {
+    try { return redact(AppMessage.toObject(msg, TO_OBJECT)); }
+    catch { return null; }
+  }
+
+  write('meta', { v: CAPTURE_VERSION, startedAt: new Date(started).toISOString(), anonymized: anonymize, ...meta });
+
+  return {
+    file,
+    attach(rustplus) {
+      rustplus.on('connected',    () => write('connected'));
+      rustplus.on('disconnected', () => write('disconnected'));
+      rustplus.on('message', msg => { if (msg?.broadcast) write('broadcast', { msg: plain(msg) }); });
+    },
+    // Returns the id the matching response() call passes back
+    request(method, args) {
+      const id = ++nextId;
+      // Outgoing team chat often names players (deaths, spy alerts) and replay never needs it
+      if (anonymize && method === 'sendTeamMessage') args = [chatText(args[0])];
+      write('request', { id, method, args: redact(args) });
+      return id;
+    },
+    response(id, msg, err) {
+      if (err) write('response', { id, error: err.message, ...(err.timedOut && { timedOut: true }) });
+      else write('response', { id, msg: plain(msg) });
+    },
+  };
+}
+
+function readCapture(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((l, i) => {
+    try { return JSON.parse(l); }
+    catch (e) { throw new Error(`Capture ${file} line ${i + 1}: ${e.message}`); }
+  });
+  if (lines[0]?.kind !== 'meta') throw new Error(`Capture ${file} has no header line`);
+  if (lines[0].v > CAPTURE_VERSION) throw new Error(`Capture ${file} is v${lines[0].v}, this build reads v${CAPTURE_VERSION}`);
+  return lines;
+}
+
+/**
+ * @param {string} file
+ * @param {object} [opts]
+ * @param {number} [opts.speed=1]       1 = real time, 10 = ten times faster
+ * @param {Function} [opts.onOutput]    (kind, data) for anything the bot sends to the server
+ * @returns {EventEmitter} rustplus-compatible client; also emits 'end' after the last event
+ */
+function createReplayClient(file, { speed = 1, onOutput = () => {} } = {}) {
+  const lines = readCapture(file);
+  const meta  = lines[0];
+  const client = new EventEmitter();
+  const timers = [];
+  let started = null, connected = false;
+
+  // Recorded responses by request key, each { t, msg | error }, in capture order
+  const answers  = new Map();
+  const requests = new Map();
+  const keyOf = (method, args) => method + (typeof args?.[0] === 'number' ? `:${args[0]}` : '');
+  for (const l of lines) {
+    if (l.kind === 'request') requests.set(l.id, l);
+    if (l.kind === 'response' && requests.has(l.id)) {
+      const rq = requests.get(l.id), key = keyOf(rq.method, rq.args);
+      if (!answers.has(key)) answers.set(key, []);
+      answers.get(key).push({ t: rq.t, msg: l.msg, error: l.error, timedOut: l.timedOut });
+    }
+  }
+  const events = lines.filter(l => ['connected', 'disconnected', 'broadcast'].includes(l.kind));
+  const length = lines[lines.length - 1].t;
+
+  // Position in the capture the replay has reached
+  const now = () => started === null ? 0 : (Date.now() - started) * speed;
+
+  function answer(method, args) {
+    const list = answers.get(keyOf(method, args));
+    if (!list) return { error: 'not_found' };
+    const t = now();
+    return list.filter(a => a.t <= t).pop() || list[0];
+  }
+
+  function request(method, args, callback) {
+    if (!connected) throw new Error('Replay client is not connected');
+    if (method === 'sendTeamMessage') onOutput('teamChat', { text: args[0] });
+    if (method === 'setEntityValue')  onOutput('setEntityValue', { entityId: args[0], value: args[1] });
+    const a = ['sendTeamMessage', 'setEntityValue'].includes(method) ? { msg: { response: { success: {} } } } : answer(method, args);
+    const seq = ++client.seq;
+    // A request that timed out in the capture gets no answer here either
+    if (a.timedOut) return;
+    setImmediate(() => {
+      const response = a.error ? { seq, error: { error: a.error } } : { ...(a.msg?.response || {}), seq };
+      callback?.(AppMessage.fromObject({ response }));
+    });
+  }
+
+  client.meta = meta;
+  client.seq  = 0;
+  client.seqCallbacks = [];
+  ['getInfo', 'getTime', 'getMap', 'getTeamInfo', 'getMapMarkers'].forEach(m => {
+    client[m] = callback => request(m, [], callback);
+  });
+  client.getEntityInfo   = (id, callback)        => request('getEntityInfo', [id], callback);
+  client.setEntityValue  = (id, value, callback) => request('setEntityValue', [id, value], callback);
+  client.sendTeamMessage = (text, callback)      => request('sendTeamMessage', [text], callback);
+  client.isConnected     = () => connected;
+  // Only drops the replayed socket (the liveness probe does this after recorded timeouts) — the
+  // timeline keeps running, so the capture's next 'connected' brings the bot back and 'end' still fires
+  client.disconnect      = () => {
+    if (!connected) return;
+    connected = false;
+    setImmediate(() => client.emit('disconnected'));
+  };
+
+  // Only the first call starts anything — later reconnect attempts wait for the capture's own
+  // 'connected' events, which is when the recorded bot got back on
+  client.connect = () => {
+    if (started !== null) return;
+    started = Date.now();
+    console.log(`[Replay] ${file}: ${events.length} events over ${Math.round(length / 1000)}s at ${speed}x`);
+    for (const ev of events) {
+      timers.push(setTimeout(() => {
+        if (ev.kind === 'connected')    { connected = true;  client.emit('connected'); }
+        if (ev.kind === 'disconnected' && connected) { connected = false; client.emit('disconnected'); }
+        if (ev.kind === 'broadcast' && ev.msg) client.emit('message', AppMessage.fromObject(ev.msg));
+      }, ev.t / speed));
+    }
+    timers.push(setTimeout(() => client.emit('end'), length / speed + 1000));
+  };
+
+  return client;
+}
+
+module.exports = { createRecorder, createReplayClient, readCapture };
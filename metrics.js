@@ -0,0 +1,85 @@
+/**
+ * Minimal Prometheus registry — counters, gauges and histograms rendered in the text
+ * exposition format (version 0.0.4), so the bot can be scraped without another dependency.
+ *
+ * - Labels are given as an object on each call: inc({ method: 'getInfo' }).
+ * - Gauges (and counters the bot already keeps a total for) are read at scrape time from a
+ *   `collect` function returning the current value, or a list of [labels, value] pairs.
+ * - Histograms are cumulative, in seconds, with DEFAULT_BUCKETS unless given their own.
+ */
+const CONTENT_TYPE    = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escHelp  = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const fmtNum   = n => Number.isFinite(n) ? String(n) : n > 0 ? '+Inf' : n < 0 ? '-Inf' : 'NaN';
+
+function labelStr(labels) {
+  const keys = Object.keys(labels || {});
+  return keys.length ? '{' + keys.map(k => `${k}="${escLabel(labels[k])}"`).join(',') + '}' : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function add(type, name, help, extra = {}) {
+    const m = { type, name, help, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  // Series are keyed by their rendered label set
+  function series(m, labels, init) {
+    const key = labelStr(labels);
+    if (!m.series.has(key)) m.series.set(key, init());
+    return m.series.get(key);
+  }
+
+  function counter(name, help, collect) {
+    const m = add('counter', name, help, { collect });
+    return {
+      inc(labels = {}, by = 1) { series(m, labels, () => ({ v: 0 })).v += by; },
+    };
+  }
+
+  function gauge(name, help, collect) {
+    add('gauge', name, help, { collect });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const m = add('histogram', name, help, { buckets });
+    return {
+      observe(labels, seconds) {
+        const s = series(m, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+        s.sum += seconds;
+        s.count++;
+      },
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      if (m.collect) {
+        let v;
+        try { v = m.collect(); } catch { continue; }
+        m.series.clear();
+        (Array.isArray(v) ? v : [[{}, v]]).forEach(([labels, x]) => m.series.set(labelStr(labels), { v: +x || 0 }));
+      }
+      out.push(`# HELP ${m.name} ${escHelp(m.help)}`, `# TYPE ${m.name} ${m.type}`);
+      for (const [key, s] of m.series) {
+        if (m.type !== 'histogram') { out.push(`${m.name}${key} ${fmtNum(s.v)}`); continue; }
+        // Bucket lines carry le= next to the series' own labels
+        const inner = key ? key.slice(1, -1) + ',' : '';
+        m.buckets.forEach((b, i) => out.push(`${m.name}_bucket{${inner}le="${b}"} ${s.counts[i]}`));
+        out.push(`${m.name}_bucket{${inner}le="+Inf"} ${s.count}`, `${m.name}_sum${key} ${s.sum}`, `${m.name}_count${key} ${s.count}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
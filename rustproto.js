@@ -0,0 +1,119 @@
+/**
+ * Rust+ protocol definitions, made tolerant in memory instead of by rewriting node_modules.
+ *
+ * rustplus.proto is proto2 and marks many fields `required`, but real servers leave some of
+ * them out (spawnTime, isOnline, queuedPlayers…) and protobufjs refuses to decode the whole
+ * frame when that happens. The installed file is read as-is, every `required` is relaxed to
+ * `optional` in the parsed copy, and RustPlus below uses those types — missing fields then
+ * decode to their defaults (0, false, "").
+ *
+ * A frame that still will not decode is dropped rather than thrown out of the socket handler:
+ * it is counted, and the first PROTO_DIAG_MAX per run are appended to PROTO_DIAG_FILE
+ * (default ./proto-errors.jsonl) as { ts, type, error, bytes, frame } — type is the part of
+ * the message that failed as far as it can be read (e.g. AppMessage.broadcast.teamChanged),
+ * the raw frame is in base64 so it can be decoded by hand later.
+ */
+const fs        = require('fs');
+const path      = require('path');
+const WebSocket = require('ws');
+const RustPlus  = require('@liamcottle/rustplus.js');
+
+// protobufjs is not a direct dependency — use the copy rustplus.js itself loads
+const RUSTPLUS_DIR = path.dirname(require.resolve('@liamcottle/rustplus.js'));
+const protobuf     = require(require.resolve('protobufjs', { paths: [RUSTPLUS_DIR] }));
+const PROTO_FILE   = path.join(RUSTPLUS_DIR, 'rustplus.proto');
+
+const DIAG_FILE = process.env.PROTO_DIAG_FILE || './proto-errors.jsonl';
+const DIAG_MAX  = parseInt(process.env.PROTO_DIAG_MAX) || 100;
+
+const source  = fs.readFileSync(PROTO_FILE, 'utf8');
+const relaxed = (source.match(/\brequired\s/g) || []).length;
+const root    = protobuf.parse(source.replace(/\brequired(\s)/g, 'optional$1')).root.resolveAll();
+
+const AppRequest = root.lookupType('rustplus.AppRequest');
+const AppMessage = root.lookupType('rustplus.AppMessage');
+
+const decodeStats = { failures: 0, written: 0, last: null, lastAt: null, byType: {} };
+
+function recordDecodeFailure(type, frame, err) {
+  decodeStats.failures++;
+  decodeStats.byType[type] = (decodeStats.byType[type] || 0) + 1;
+  decodeStats.last   = err.message;
+  decodeStats.lastAt = Date.now();
+  console.warn(`[Proto] Could not decode ${type} (${frame.length} bytes): ${err.message}`);
+  if (decodeStats.written >= DIAG_MAX) return;
+  decodeStats.written++;
+  const line = { ts: new Date().toISOString(), type, error: err.message, bytes: frame.length, frame: Buffer.from(frame).toString('base64') };
+  try { fs.appendFileSync(DIAG_FILE, JSON.stringify(line) + '\n'); }
+  catch (e) { console.error('[Proto] Diagnostics write failed —', e.message); }
+}
+
+// Best-effort "AppMessage.response.teamInfo" / "AppMessage.broadcast.entityChanged" for a frame
+// that would not decode: follows the first message-typed field two levels down, which usually
+// still parses when the damage is further in
+function frameKind(Type, frame) {
+  const path = [Type.name];
+  try {
+    let type = Type, reader = protobuf.Reader.create(frame);
+    for (let depth = 0; depth < 2; depth++) {
+      let field = null;
+      while (!field && reader.pos < reader.len) {
+        const tag = reader.uint32(), f = type.fieldsById[tag >>> 3];
+        if ((tag & 7) === 2 && f?.resolvedType instanceof protobuf.Type) field = f;
+        else reader.skipType(tag & 7);
+      }
+      if (!field) break;
+      path.push(field.name);
+      // A truncated frame claims more bytes than it has — look inside what is there
+      const len = reader.uint32();
+      type   = field.resolvedType;
+      reader = protobuf.Reader.create(reader.buf.subarray(reader.pos, Math.min(reader.pos + len, reader.len)));
+    }
+  } catch {}
+  return path.join('.');
+}
+
+// Decodes with the relaxed types; a frame that still fails is recorded and yields null
+function decode(Type, frame) {
+  try { return Type.decode(frame); }
+  catch (e) { recordDecodeFailure(frameKind(Type, frame), frame, e); return null; }
+}
+
+/**
+ * Drop-in RustPlus that uses the relaxed types above. Only connect() differs from the
+ * library: the types are already loaded (so it connects synchronously), and each frame is
+ * decoded once, through decode(), instead of inside an unguarded socket listener.
+ */
+class TolerantRustPlus extends RustPlus {
+  constructor(...args) {
+    super(...args);
+    this.AppRequest = AppRequest;
+    this.AppMessage = AppMessage;
+  }
+
+  connect() {
+    if (this.websocket) this.disconnect();
+    this.emit('connecting');
+    const address = this.useFacepunchProxy
+      ? `wss://companion-rust.facepunch.com/game/${this.server}/${this.port}`
+      : `ws://${this.server}:${this.port}`;
+    this.websocket = new WebSocket(address);
+    this.websocket.on('open',  ()  => this.emit('connected'));
+    this.websocket.on('error', e   => this.emit('error', e));
+    this.websocket.on('close', ()  => this.emit('disconnected'));
+    this.websocket.on('message', data => {
+      const message = decode(AppMessage, data);
+      if (!message) return;
+      const seq = message.response?.seq;
+      if (seq && this.seqCallbacks[seq]) {
+        const callback = this.seqCallbacks[seq];
+        delete this.seqCallbacks[seq];
+        // As in the library: a callback returning true consumes the message
+        if (callback(message)) return;
+      }
+      this.emit('message', message);
+    });
+  }
+}
+
+module.exports = { root, AppRequest, AppMessage, relaxed, decode, decodeStats, TolerantRustPlus, PROTO_FILE };
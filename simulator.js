@@ -0,0 +1,275 @@
+/**
+ * Local stand-in for a Rust+ server, so alarms, deaths, team changes, switches and map events
+ * can be exercised without a live server or real pairings.
+ *
+ * - Same wire protocol: protobuf AppRequest in, AppMessage out over a WebSocket, using the
+ *   types from rustproto.js, so the bot's client code runs unchanged.
+ * - Answers getInfo, getTime, getMap, getTeamInfo, getMapMarkers, getEntityInfo,
+ *   setEntityValue and sendTeamMessage from an in-memory world built from the scenario.
+ * - Plays the scenario's steps on a timeline that starts when the first client connects and
+ *   keeps running across reconnects. Broadcasts due while nobody is connected are lost, like
+ *   on a real server; world edits still apply.
+ *
+ * Scenario file (JSON):
+ *   {
+ *     "name":     "Night raid",
+ *     "player":   { "steamId": "76561198000000000", "name": "RustLink" },   // who the bot plays as
+ *     "server":   { "name", "players", "maxPlayers", "queuedPlayers", "mapSize", "seed", "wipeTime",
+ *                   "time": 21.5, "dayLengthMinutes": 60 },
+ *     "team":     [{ "steamId", "name", "x", "y", "isOnline": true, "isAlive": true }],
+ *     "entities": [{ "id": 1001, "kind": "switch" | "alarm" | "monitor", "name", "value",
+ *                    "items": [{ "itemId", "quantity" }], "capacity", "protectionHours" }],
+ *     "markers":  [{ "id", "type": "CargoShip", "x", "y", ... any AppMarker field }],
+ *     "steps":    [{ "at": <seconds after connect>, <one action> }]
+ *   }
+ *
+ * Actions:
+ *   { "chat":   { "name", "message", "steamId"? } }            teamMessage broadcast
+ *   { "entity": { "id", "value" } }                             entityChanged (switch/alarm)
+ *   { "entity": { "id", "items", "capacity"?, "protectionHours"? } }    entityChanged (monitor)
+ *   { "team":   { "steamId", ...member fields } }               edits/adds a member, teamChanged
+ *   { "team":   { "steamId", "leave": true } }                  removes a member, teamChanged
+ *   { "marker": { "add": {...} } | { "remove": id } | { "move": { "id", "x", "y" } } }
+ *   { "server": { ...AppInfo fields, "time"? } }
+ *   { "silence": <seconds> }    stop answering requests (a stale socket)
+ *   { "disconnect": true }      drop every client
+ *   { "end": true }             emits 'end' — SIMULATE mode shuts the bot down
+ *
+ * Standalone: node simulator.js scenarios/night-raid.json [port]
+ */
+const fs           = require('fs');
+const path         = require('path');
+const EventEmitter = require('events');
+const WSLib        = require('ws');
+const { AppRequest, AppMessage } = require('./rustproto');
+
+const ENTITY_TYPES = { switch: 1, alarm: 2, monitor: 3 };
+const ACTIONS      = ['chat', 'entity', 'team', 'marker', 'server', 'silence', 'disconnect', 'end'];
+
+function loadScenario(file) {
+  let sc;
+  try { sc = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { throw new Error(`Scenario ${file}: ${e.message}`); }
+  sc.name     ??= path.basename(file, '.json');
+  sc.player   ??= {};
+  sc.server   ??= {};
+  sc.team     ??= [];
+  sc.entities ??= [];
+  sc.markers  ??= [];
+  sc.steps    ??= [];
+  sc.entities.forEach((e, i) => {
+    if (!e.id || !ENTITY_TYPES[e.kind]) throw new Error(`Scenario ${file}: entity ${i + 1} needs an id and kind switch|alarm|monitor`);
+  });
+  sc.steps.forEach((s, i) => {
+    const acts = Object.keys(s).filter(k => k !== 'at');
+    if (typeof s.at !== 'number' || acts.length !== 1 || !ACTIONS.includes(acts[0])) {
+      throw new Error(`Scenario ${file}: step ${i + 1} needs a numeric "at" and exactly one of ${ACTIONS.join(', ')}`);
+    }
+  });
+  sc.steps.sort((a, b) => a.at - b.at);
+  return sc;
+}
+
+/**
+ * @param {object} scenario    as returned by loadScenario
+ * @param {object} [opts]
+ * @param {number} [opts.port=28082]
+ * @param {number} [opts.latency=30]  ms before each response
+ * @param {Function} [opts.log=console.log]
+ * @returns {EventEmitter & { start, stop, world, entities }}  emits 'step' (step) and 'end'
+ */
+function createSimulator(scenario, { port = 28082, latency = 30, log = console.log } = {}) {
+  const sim     = new EventEmitter();
+  const clients = new Set();
+  const timers  = [];
+  let wss, mapJpg = null, startedAt = null, silentUntil = 0;
+
+  const sv    = scenario.server;
+  const world = {
+    info: {
+      name: sv.name || `Simulator — ${scenario.name}`, headerImage: '', url: '', map: 'Procedural Map',
+      mapSize: sv.mapSize || 3000, wipeTime: sv.wipeTime || Math.floor(Date.now() / 1000) - 86400,
+      players: sv.players ?? 42, maxPlayers: sv.maxPlayers ?? 200, queuedPlayers: sv.queuedPlayers ?? 0,
+      seed: sv.seed ?? 1337, salt: 1,
+    },
+    clock:    { time: sv.time ?? 12, at: Date.now(), dayLengthMinutes: sv.dayLengthMinutes || 60 },
+    team:     scenario.team.map(m => ({ isOnline: true, isAlive: true, spawnTime: 0, deathTime: 0, x: 0, y: 0, ...m })),
+    entities: new Map(scenario.entities.map(e => [Number(e.id), { ...e, value: !!e.value }])),
+    markers:  scenario.markers.map(m => ({ ...m })),
+  };
+  const leaderSteamId = String(scenario.player.steamId || world.team[0]?.steamId || '76561198000000000');
+
+  function timeOfDay() {
+    const c = world.clock;
+    const hours = (Date.now() - c.at) / 60000 / c.dayLengthMinutes * 24;
+    return (c.time + hours) % 24;
+  }
+
+  // protectionHours is relative so scenario files don't go stale; it becomes an expiry when set
+  function payload(e) {
+    if (e.kind !== 'monitor') return { value: e.value };
+    if (e.protectionHours !== undefined) {
+      e.protectionExpiry = e.protectionHours > 0 ? Math.floor(Date.now() / 1000 + e.protectionHours * 3600) : 0;
+      delete e.protectionHours;
+    }
+    return {
+      items: e.items || [], capacity: e.capacity ?? 48,
+      hasProtection: !!e.protectionExpiry, protectionExpiry: e.protectionExpiry || 0,
+    };
+  }
+
+  function teamInfo() {
+    return { leaderSteamId, members: world.team, mapNotes: [], leaderMapNotes: [] };
+  }
+
+  function encode(obj) {
+    return AppMessage.encode(AppMessage.fromObject(obj)).finish();
+  }
+
+  function broadcast(obj) {
+    const buf = encode({ broadcast: obj });
+    clients.forEach(ws => { if (ws.readyState === WSLib.OPEN) ws.send(buf); });
+  }
+
+  async function getMapJpg() {
+    if (mapJpg) return mapJpg;
+    const Jimp = require('jimp');
+    const img  = new Jimp(512, 512, 0x2F5F8AFF);                    // ocean
+    img.scan(64, 64, 384, 384, (x, y, i) => { img.bitmap.data.writeUInt32BE(0x7A8A4AFF, i); }); // land
+    return (mapJpg = await img.getBufferAsync(Jimp.MIME_JPEG));
+  }
+
+  async function respond(req) {
+    const ent = world.entities.get(Number(req.entityId));
+    if (req.getInfo)       return { info: world.info };
+    if (req.getTime)       return { time: { dayLengthMinutes: world.clock.dayLengthMinutes, timeScale: 1, sunrise: 7.5, sunset: 19.5, time: timeOfDay() } };
+    if (req.getTeamInfo)   return { teamInfo: teamInfo() };
+    if (req.getMapMarkers) return { mapMarkers: { markers: world.markers } };
+    if (req.getMap)        return { map: { width: 512, height: 512, oceanMargin: 64, jpgImage: await getMapJpg(), monuments: [], background: '#2F5F8A' } };
+    if (req.getEntityInfo) {
+      if (!ent) return { error: { error: 'not_found' } };
+      return { entityInfo: { type: ENTITY_TYPES[ent.kind], payload: payload(ent) } };
+    }
+    if (req.setEntityValue) {
+      if (!ent || ent.kind !== 'switch') return { error: { error: 'not_found' } };
+      ent.value = !!req.setEntityValue.value;
+      setTimeout(() => broadcast({ entityChanged: { entityId: ent.id, payload: payload(ent) } }), latency);
+      return { success: {} };
+    }
+    if (req.sendTeamMessage) {
+      // The real server echoes team chat to every member, sender included
+      const me = world.team.find(m => String(m.steamId) === String(req.playerId));
+      setTimeout(() => broadcast({ teamMessage: { message: {
+        steamId: String(req.playerId), name: me?.name || scenario.player.name || 'RustLink',
+        message: req.sendTeamMessage.message, color: '#5af', time: Math.floor(Date.now() / 1000),
+      } } }), latency);
+      return { success: {} };
+    }
+    return { error: { error: 'not_supported' } };
+  }
+
+  function onMessage(ws, data) {
+    if (Date.now() < silentUntil) return;
+    let req;
+    try { req = AppRequest.decode(data); } catch (e) { return log('[Sim] Bad request:', e.message); }
+    setTimeout(async () => {
+      let response;
+      try { response = await respond(req); } catch (e) { response = { error: { error: e.message } }; }
+      if (ws.readyState === WSLib.OPEN) ws.send(encode({ response: { seq: req.seq, ...response } }));
+    }, latency);
+  }
+
+  function runStep(step) {
+    const [action] = Object.keys(step).filter(k => k !== 'at');
+    const a = step[action];
+    switch (action) {
+      case 'chat':
+        broadcast({ teamMessage: { message: {
+          steamId: String(a.steamId || world.team.find(m => m.name === a.name)?.steamId || '0'),
+          name: a.name || 'Teammate', message: a.message || '', color: '#5af', time: Math.floor(Date.now() / 1000),
+        } } });
+        break;
+      case 'entity': {
+        const e = world.entities.get(Number(a.id));
+        if (!e) { log(`[Sim] Step at ${step.at}s: no entity ${a.id}`); break; }
+        Object.assign(e, a, { id: e.id, kind: e.kind });
+        if ('value' in a) e.value = !!a.value;
+        broadcast({ entityChanged: { entityId: e.id, payload: payload(e) } });
+        break;
+      }
+      case 'team': {
+        const id  = String(a.steamId);
+        const idx = world.team.findIndex(m => String(m.steamId) === id);
+        if (a.leave) { if (idx >= 0) world.team.splice(idx, 1); }
+        else if (idx >= 0) {
+          const m = world.team[idx];
+          if (a.isAlive === false && m.isAlive) m.deathTime = Math.floor(Date.now() / 1000);
+          if (a.isAlive === true && !m.isAlive) m.spawnTime = Math.floor(Date.now() / 1000);
+          Object.assign(m, a);
+        } else world.team.push({ isOnline: true, isAlive: true, spawnTime: 0, deathTime: 0, x: 0, y: 0, ...a });
+        broadcast({ teamChanged: { playerId: leaderSteamId, teamInfo: teamInfo() } });
+        break;
+      }
+      case 'marker':
+        if (a.add) world.markers.push({ ...a.add });
+        if (a.remove !== undefined) world.markers = world.markers.filter(m => m.id !== a.remove);
+        if (a.move) Object.assign(world.markers.find(m => m.id === a.move.id) || {}, a.move);
+        break;
+      case 'server':
+        if (a.time !== undefined) Object.assign(world.clock, { time: a.time, at: Date.now() });
+        Object.assign(world.info, Object.fromEntries(Object.entries(a).filter(([k]) => k !== 'time')));
+        break;
+      case 'silence':
+        silentUntil = Date.now() + a * 1000;
+        break;
+      case 'disconnect':
+        clients.forEach(ws => ws.terminate());
+        break;
+      case 'end':
+        break;
+    }
+    log(`[Sim] ${step.at}s ${action}`);
+    sim.emit('step', step);
+    if (action === 'end') sim.emit('end');
+  }
+
+  function startTimeline() {
+    startedAt = Date.now();
+    log(`[Sim] Scenario "${scenario.name}" started — ${scenario.steps.length} step(s)`);
+    scenario.steps.forEach(step => timers.push(setTimeout(() => runStep(step), step.at * 1000)));
+  }
+
+  sim.world    = world;
+  sim.entities = () => scenario.entities.map(e => ({ id: String(e.id), kind: e.kind, name: e.name || `${e.kind} ${e.id}` }));
+
+  sim.start = async () => {
+    wss = new WSLib.Server({ port });
+    wss.on('connection', ws => {
+      clients.add(ws);
+      log(`[Sim] Client connected (${clients.size})`);
+      if (!startedAt) startTimeline();
+      ws.on('message', data => onMessage(ws, data));
+      ws.on('close', () => clients.delete(ws));
+    });
+    await new Promise((resolve, reject) => { wss.once('listening', resolve); wss.once('error', reject); });
+    log(`[Sim] Rust+ simulator listening on ${port}`);
+  };
+
+  sim.stop = () => {
+    timers.forEach(clearTimeout);
+    clients.forEach(ws => ws.terminate());
+    wss?.close();
+  };
+
+  return sim;
+}
+
+module.exports = { createSimulator, loadScenario };
+
+if (require.main === module) {
+  const [file, port] = process.argv.slice(2);
+  if (!file) { console.error('Usage: node simulator.js <scenario.json> [port]'); process.exit(1); }
+  const sim = createSimulator(loadScenario(file), { port: parseInt(port) || 28082 });
+  sim.on('end', () => { console.log('[Sim] Scenario finished'); sim.stop(); });
+  sim.start().catch(e => { console.error('[Sim]', e.message); process.exit(1); });
+}
@@ -0,0 +1,174 @@
+/**
+ * Crash-safe JSON stores shared by every data file the bot keeps.
+ *
+ * - Atomic: each write goes to a temp file, is fsynced, then renamed over the old file,
+ *   so a crash mid-write leaves the previous version intact instead of half a file.
+ * - Coalesced: save() only marks the store dirty; the latest state is written once per
+ *   `delay` ms. flush() writes synchronously (shutdown, process exit).
+ * - Versioned: on disk a file is { _v: <schema version>, data }. Files written before this
+ *   module (bare arrays/objects) count as version 0 and run through `migrations`.
+ * - Backed up: at most once per `backupEvery` ms the current file is rotated into
+ *   BACKUP_DIR/<file>.1 … .<backups>.
+ * - Loud: when a file will not parse the newest readable backup is used and the broken
+ *   file is kept as <file>.corrupt-<ts>. With no usable backup load() throws and the file
+ *   is left untouched, rather than starting empty and overwriting it on the next save.
+ */
+const fs   = require('fs');
+const path = require('path');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || './backups';
+const stores = new Set();
+let writeObserver = null;   // (name, ms, ok) after every write attempt — see observeWrites()
+
+/**
+ * @param {object}   opts
+ * @param {string}   opts.file        path of the JSON file
+ * @param {string}   opts.name        log tag, e.g. 'Members'
+ * @param {Function} opts.serialize   returns the value to persist — called at write time
+ * @param {*}        opts.initial     value (or factory) used when the file does not exist
+ * @param {number}   [opts.version=1] current schema version
+ * @param {Object<number, Function>} [opts.migrations] version → (data) => data, upgrading from version - 1
+ * @param {number}   [opts.delay=1000]         coalescing window for save()
+ * @param {number}   [opts.backups=3]          rolling backups kept (0 = none)
+ * @param {number}   [opts.backupEvery=3600000] minimum ms between backups
+ * @param {boolean}  [opts.pretty=true]        indent the JSON
+ */
+function createStore({ file, name, serialize, initial, version = 1, migrations = {}, delay = 1000,
+  backups = 3, backupEvery = 3600000, pretty = true }) {
+  const backupBase = path.join(BACKUP_DIR, path.basename(file));
+  let dirty = false, writing = false, timer = null, gen = 0, lastBackup = 0;
+
+  function parse(f) {
+    const raw   = JSON.parse(fs.readFileSync(f, 'utf8'));
+    const isEnv = raw && typeof raw === 'object' && !Array.isArray(raw) && Number.isInteger(raw._v) && 'data' in raw;
+    const from  = isEnv ? raw._v : 0;
+    if (from > version) {
+      throw Object.assign(new Error(`${f} is schema v${from} but this build only knows v${version} — refusing to downgrade`), { fatal: true });
+    }
+    let data = isEnv ? raw.data : raw;
+    for (let v = from + 1; v <= version; v++) if (migrations[v]) data = migrations[v](data);
+    return { data, from };
+  }
+
+  function backupFiles() {
+    const out = [];
+    for (let i = 1; i <= backups; i++) if (fs.existsSync(`${backupBase}.${i}`)) out.push(`${backupBase}.${i}`);
+    return out;
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return typeof initial === 'function' ? initial() : initial;
+    try {
+      const { data, from } = parse(file);
+      if (from !== version) {
+        console.log(`[Store] ${name}: migrated ${file} v${from} → v${version}`);
+        save();
+      }
+      return data;
+    } catch (e) {
+      if (e.fatal) throw e;
+      console.error(`[Store] ${name}: ${file} is unreadable (${e.message})`);
+      for (const b of backupFiles()) {
+        try {
+          const { data } = parse(b);
+          // Keep the broken file for inspection; it must not become the next backup
+          const aside = `${file}.corrupt-${Date.now()}`;
+          fs.renameSync(file, aside);
+          console.error(`[Store] ${name}: restored from ${b} — broken file kept as ${aside}`);
+          save();
+          return data;
+        } catch (be) { console.error(`[Store] ${name}: backup ${b} unusable (${be.message})`); }
+      }
+      // Left in place so every start fails the same way until someone repairs or removes it
+      throw new Error(`${file} is corrupt and no backup could be read — repair or remove it to start`);
+    }
+  }
+
+  function snapshot() {
+    return JSON.stringify({ _v: version, data: serialize() }, null, pretty ? 2 : 0);
+  }
+
+  function rotateBackups() {
+    if (!backups || Date.now() - lastBackup < backupEvery || !fs.existsSync(file)) return;
+    lastBackup = Date.now();
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    for (let i = backups - 1; i >= 1; i--) {
+      if (fs.existsSync(`${backupBase}.${i}`)) fs.renameSync(`${backupBase}.${i}`, `${backupBase}.${i + 1}`);
+    }
+    fs.copyFileSync(file, `${backupBase}.1`);
+  }
+
+  // Times a write for the observer; the write's own errors still propagate
+  function timed(write) {
+    const t0 = process.hrtime.bigint();
+    const done = ok => writeObserver?.(name, Number(process.hrtime.bigint() - t0) / 1e6, ok);
+    try {
+      const r = write();
+      if (r?.then) return r.then(() => done(true), e => { done(false); throw e; });
+      done(true);
+      return r;
+    } catch (e) { done(false); throw e; }
+  }
+
+  function writeSync() {
+    const my   = ++gen;
+    const tmp  = `${file}.tmp-${process.pid}-${my}`;
+    const json = snapshot();
+    const fd   = fs.openSync(tmp, 'w');
+    try { fs.writeSync(fd, json); fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+    rotateBackups();
+    fs.renameSync(tmp, file);
+  }
+
+  async function writeAsync() {
+    const my   = ++gen;
+    const tmp  = `${file}.tmp-${process.pid}-${my}`;
+    const json = snapshot();
+    const fh   = await fs.promises.open(tmp, 'w');
+    try { await fh.writeFile(json); await fh.sync(); } finally { await fh.close(); }
+    // A flush() landed while this was in flight — its copy is newer, drop ours
+    if (my !== gen) { fs.promises.unlink(tmp).catch(() => {}); return; }
+    rotateBackups();
+    fs.renameSync(tmp, file);
+  }
+
+  function save() {
+    dirty = true;
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      if (!dirty) return;
+      dirty = false;
+      writing = true;
+      timed(writeAsync).catch(e => {
+        console.error(`[Store] ${name}: write failed —`, e.message);
+        save(); // keep the data dirty and retry
+      }).finally(() => { writing = false; });
+    }, delay);
+    timer.unref?.();
+  }
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    // An async write still in flight may never land if the process is exiting — rewrite it
+    if (!dirty && !writing) return;
+    dirty = false;
+    try { timed(writeSync); }
+    catch (e) { dirty = true; console.error(`[Store] ${name}: flush failed —`, e.message); }
+  }
+
+  const store = { name, file, load, save, flush, get dirty() { return dirty; } };
+  stores.add(store);
+  return store;
+}
+
+// Synchronous — safe to call from process.on('exit')
+function flushAll() {
+  stores.forEach(s => s.flush());
+}
+
+function observeWrites(fn) {
+  writeObserver = fn;
+}
+
+module.exports = { createStore, flushAll, observeWrites };